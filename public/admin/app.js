@@ -0,0 +1,166 @@
+const POLL_MS = 5_000;
+const SECRET_KEY = "codex-proxy-admin-secret";
+
+const $ = (id) => document.getElementById(id);
+let pollTimer;
+
+class AuthError extends Error {}
+
+async function api(path, init = {}) {
+  const response = await fetch(path, {
+    ...init,
+    headers: { Authorization: `Bearer ${sessionStorage.getItem(SECRET_KEY) || ""}` },
+  });
+  if (response.status === 401) throw new AuthError("Wrong admin secret");
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error?.message || `HTTP ${response.status}`);
+  return body;
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "–";
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms} ms`;
+  const seconds = Math.round(ms / 1000);
+  return seconds < 120 ? `${seconds} s` : `${Math.round(seconds / 60)} min`;
+}
+
+function cell(content, className) {
+  const td = document.createElement("td");
+  if (content instanceof Node) td.append(content);
+  else td.textContent = content ?? "–";
+  if (className) td.className = className;
+  return td;
+}
+
+function fillTable(id, rows, columns, toCells) {
+  const body = $(id);
+  body.replaceChildren();
+  if (!rows.length) {
+    const tr = document.createElement("tr");
+    tr.append(cell("None", "empty"));
+    tr.firstChild.colSpan = columns;
+    body.append(tr);
+    return;
+  }
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    tr.append(...toCells(row));
+    body.append(tr);
+  }
+}
+
+function refreshButton(account) {
+  const button = document.createElement("button");
+  button.textContent = "Refresh now";
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    button.textContent = "Refreshing…";
+    try {
+      await api(`/admin/accounts/${encodeURIComponent(account.name)}/refresh`, { method: "POST" });
+      await load();
+    } catch (error) {
+      $("status-error").textContent = `Refreshing ${account.name} failed: ${error.message}`;
+      button.disabled = false;
+      button.textContent = "Refresh now";
+    }
+  });
+  return button;
+}
+
+function render(status, keys) {
+  $("uptime").textContent = `up ${formatDuration(status.uptimeSeconds * 1000)} since ${formatTime(status.startedAt)}`;
+  $("selection").textContent = status.accounts.length > 1 ? `(${status.accountSelection})` : "";
+  $("models-path").textContent = status.models.path || "";
+
+  fillTable("accounts", status.accounts, 7, (account) => [
+    cell(account.name),
+    cell(account.accountId),
+    cell(account.tokenStatus),
+    cell(formatTime(account.expiresAt)),
+    cell(account.limitedUntil ? formatTime(account.limitedUntil) : "–"),
+    cell(String(account.inFlight)),
+    cell(refreshButton(account)),
+  ]);
+
+  fillTable("streams", status.activeStreams, 7, (stream) => [
+    cell(stream.requestId),
+    cell(stream.key),
+    cell(stream.route),
+    cell(stream.model),
+    cell(stream.account),
+    cell(String(stream.events)),
+    cell(formatDuration(stream.elapsedMs)),
+  ]);
+
+  fillTable("requests", status.recentRequests, 8, (request) => [
+    cell(formatTime(request.time)),
+    cell(request.requestId),
+    cell(request.key),
+    cell(request.route),
+    cell(request.model),
+    cell(String(request.status), request.status >= 500 ? "status-5xx" : request.status >= 400 ? "status-4xx" : ""),
+    cell(formatDuration(request.latencyMs)),
+    cell(request.streamed ? request.streamStatus || "yes" : "no"),
+  ]);
+
+  fillTable("keys", keys, 6, (key) => [
+    cell(key.name),
+    cell(key.prefix),
+    cell(key.routes?.length ? key.routes.join(", ") : "all"),
+    cell(key.models?.length ? key.models.join(", ") : "all"),
+    cell(`${key.usage.requests} req / ${key.usage.tokens} tok`),
+    cell(key.enabled ? "yes" : "no"),
+  ]);
+
+  fillTable("models", status.models.data, 2, (model) => [
+    cell(model.id),
+    cell(model.id === status.models.defaultModel ? "yes" : ""),
+  ]);
+}
+
+function showLogin(message = "") {
+  clearTimeout(pollTimer);
+  $("dashboard").hidden = true;
+  $("sign-out").hidden = true;
+  $("login").hidden = false;
+  $("login-error").textContent = message;
+  $("secret").focus();
+}
+
+async function load() {
+  clearTimeout(pollTimer);
+  try {
+    const [status, keys] = await Promise.all([api("/admin/status"), api("/admin/keys")]);
+    $("login").hidden = true;
+    $("dashboard").hidden = false;
+    $("sign-out").hidden = false;
+    $("status-error").textContent = "";
+    render(status, keys.data);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      sessionStorage.removeItem(SECRET_KEY);
+      showLogin(error.message);
+      return;
+    }
+    $("status-error").textContent = `Could not load status: ${error.message}`;
+  }
+  pollTimer = setTimeout(load, POLL_MS);
+}
+
+$("login").addEventListener("submit", (event) => {
+  event.preventDefault();
+  sessionStorage.setItem(SECRET_KEY, $("secret").value.trim());
+  $("secret").value = "";
+  load();
+});
+
+$("sign-out").addEventListener("click", () => {
+  sessionStorage.removeItem(SECRET_KEY);
+  showLogin();
+});
+
+if (sessionStorage.getItem(SECRET_KEY)) load();
+else showLogin();
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+// A scripted stand-in for the Codex backend and the OpenAI OAuth server, for tests and offline runs.
+// Codex requests are answered from a queue of scripts (see `enqueue`), or with a short text reply when the
+// queue is empty. Access tokens are unsigned JWTs the mock issued itself; anything else gets a 401. Refresh
+// tokens rotate on every use, and a refresh token that was already used is rejected with `invalid_grant`.
+
+import http from "http";
+import { pathToFileURL } from "url";
+import { formatSSE } from "../src/sse.mjs";
+
+const DEFAULT_TEXT = "Hello from the mock upstream.";
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function jwt(claims) {
+  return `${base64url({ alg: "none", typ: "JWT" })}.${base64url(claims)}.mock`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function usageFor(body, outputTokens) {
+  const inputTokens = JSON.stringify(body.input ?? "").length;
+  return {
+    input_tokens: inputTokens,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: outputTokens,
+    output_tokens_details: { reasoning_tokens: 0 },
+    total_tokens: inputTokens + outputTokens,
+  };
+}
+
+// The event sequence Codex streams for one reply: a text message or a function call.
+export function replyEvents(body, { text = DEFAULT_TEXT, toolCall, truncate = false, id } = {}) {
+  const responseId = id || `resp_mock_${Math.random().toString(36).slice(2, 10)}`;
+  const base = {
+    id: responseId,
+    object: "response",
+    created_at: Math.floor(Date.now() / 1000),
+    model: body.model,
+    output: [],
+  };
+  const events = [{ type: "response.created", response: { ...base, status: "in_progress" } }];
+
+  let item;
+  if (toolCall) {
+    const args = typeof toolCall.arguments === "string" ? toolCall.arguments : JSON.stringify(toolCall.arguments ?? {});
+    item = {
+      id: `fc_${responseId}`,
+      type: "function_call",
+      status: "completed",
+      call_id: toolCall.callId || `call_${responseId}`,
+      name: toolCall.name,
+      arguments: args,
+    };
+    events.push(
+      { type: "response.output_item.added", output_index: 0, item: { ...item, status: "in_progress", arguments: "" } },
+      { type: "response.function_call_arguments.delta", item_id: item.id, output_index: 0, delta: args },
+      { type: "response.function_call_arguments.done", item_id: item.id, output_index: 0, arguments: args },
+    );
+  } else {
+    const part = { type: "output_text", text, annotations: [] };
+    item = { id: `msg_${responseId}`, type: "message", role: "assistant", status: "completed", content: [part] };
+    events.push(
+      { type: "response.output_item.added", output_index: 0, item: { ...item, status: "in_progress", content: [] } },
+      {
+        type: "response.content_part.added",
+        item_id: item.id,
+        output_index: 0,
+        content_index: 0,
+        part: { ...part, text: "" },
+      },
+      // One delta per word, so clients see more than one chunk.
+      ...text.split(/(?<= )/).map((delta) => ({
+        type: "response.output_text.delta",
+        item_id: item.id,
+        output_index: 0,
+        content_index: 0,
+        delta,
+      })),
+    );
+    if (truncate) return events;
+    events.push(
+      { type: "response.output_text.done", item_id: item.id, output_index: 0, content_index: 0, text },
+      { type: "response.content_part.done", item_id: item.id, output_index: 0, content_index: 0, part },
+    );
+  }
+
+  events.push(
+    { type: "response.output_item.done", output_index: 0, item },
+    {
+      type: "response.completed",
+      response: { ...base, status: "completed", output: [item], usage: usageFor(body, text.split(" ").length) },
+    },
+  );
+  return events;
+}
+
+// Starts the mock on `port` (0 picks a free one). Scripts queued with `enqueue` answer Codex requests in order:
+//
+// - `{ text }` streams a text reply, `{ toolCall: { name, arguments } }` a function call.
+// - `{ truncate: true }` ends a text reply without its terminal event.
+// - `{ events: [...] }` streams the given events as-is.
+// - `{ status, body, headers }` answers with that status and JSON body instead of a stream.
+//
+// `enqueueToken` does the same for the token endpoint with `{ status, body }`.
+export function startMockUpstream({ port = 0, host = "127.0.0.1", acceptUnknownRefreshTokens = false } = {}) {
+  const scripts = [];
+  const tokenScripts = [];
+  const requests = [];
+  const tokenRequests = [];
+  const accessTokens = new Set();
+  // Live refresh tokens and the ChatGPT account each belongs to.
+  const refreshTokens = new Map();
+  let issued = 0;
+
+  const issueTokens = ({ accountId = "acct-mock", expiresIn = 3600 } = {}) => {
+    issued += 1;
+    const access = jwt({
+      exp: Math.floor(Date.now() / 1000) + expiresIn,
+      "https://api.openai.com/auth": { chatgpt_account_id: accountId },
+      n: issued,
+    });
+    const refresh = `mock-refresh-${issued}`;
+    accessTokens.add(access);
+    refreshTokens.set(refresh, accountId);
+    return { access_token: access, refresh_token: refresh, expires_in: expiresIn, token_type: "Bearer" };
+  };
+
+  async function handleToken(req, res) {
+    const form = new URLSearchParams(await readBody(req));
+    const entry = { grantType: form.get("grant_type"), refreshToken: form.get("refresh_token"), clientId: form.get("client_id") };
+    tokenRequests.push(entry);
+
+    const script = tokenScripts.shift();
+    if (script) {
+      sendJson(res, script.status || 200, script.body ?? {});
+      return;
+    }
+    if (entry.grantType !== "refresh_token") {
+      sendJson(res, 400, { error: "unsupported_grant_type" });
+      return;
+    }
+
+    let accountId = refreshTokens.get(entry.refreshToken);
+    if (accountId === undefined && acceptUnknownRefreshTokens && entry.refreshToken) accountId = "acct-mock";
+    if (accountId === undefined) {
+      sendJson(res, 400, { error: "invalid_grant", error_description: "Refresh token is invalid or already used" });
+      return;
+    }
+    refreshTokens.delete(entry.refreshToken);
+    sendJson(res, 200, issueTokens({ accountId }));
+  }
+
+  async function handleResponses(req, res) {
+    const text = await readBody(req);
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      sendJson(res, 400, { error: { message: "Invalid JSON body", type: "invalid_request_error" } });
+      return;
+    }
+
+    const authorization = req.headers.authorization || "";
+    const token = authorization.replace(/^Bearer /, "");
+    requests.push({ body, headers: req.headers, accountId: req.headers["chatgpt-account-id"], token });
+
+    if (!accessTokens.has(token)) {
+      sendJson(res, 401, { error: { message: "Invalid or expired access token", type: "invalid_request_error", code: "token_expired" } });
+      return;
+    }
+
+    const script = scripts.shift() || {};
+    if (script.status) {
+      sendJson(res, script.status, script.body ?? {}, script.headers);
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    for (const event of script.events || replyEvents(body, script)) {
+      res.write(formatSSE(event, event.type));
+      if (script.delayMs) await new Promise((resolve) => setTimeout(resolve, script.delayMs));
+    }
+    res.end();
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    const handle =
+      req.method !== "POST"
+        ? null
+        : url.pathname === "/oauth/token"
+          ? handleToken
+          : url.pathname === "/backend-api/codex/responses"
+            ? handleResponses
+            : url.pathname === "/mock/enqueue"
+              ? async () => {
+                  scripts.push(JSON.parse(await readBody(req)));
+                  sendJson(res, 200, { queued: scripts.length });
+                }
+              : null;
+
+    if (!handle) {
+      res.statusCode = 404;
+      res.end("Not found");
+      return;
+    }
+    handle(req, res).catch((error) => {
+      if (!res.headersSent) sendJson(res, 500, { error: { message: String(error), type: "mock_error" } });
+      else res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        url,
+        responsesUrl: `${url}/backend-api/codex/responses`,
+        tokenUrl: `${url}/oauth/token`,
+        requests,
+        tokenRequests,
+        issueTokens,
+        enqueue: (...items) => scripts.push(...items),
+        enqueueToken: (...items) => tokenScripts.push(...items),
+        // Server-side revocation: every access token issued so far now gets a 401.
+        revokeAccessTokens: () => accessTokens.clear(),
+        close() {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(() => done()));
+        },
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = await startMockUpstream({
+    port: Number(process.env.MOCK_PORT || "8090"),
+    // The proxy starts from whatever refresh token is in .env; the mock takes it and rotates from there.
+    acceptUnknownRefreshTokens: true,
+  });
+  console.log(`Mock Codex upstream on ${mock.url}`);
+  console.log(`  CODEX_RESPONSES_API_URL=${mock.responsesUrl}`);
+  console.log(`  OPENAI_OAUTH_TOKEN_URL=${mock.tokenUrl}`);
+  console.log(`Queue a reply with: curl -d '{"status": 429}' ${mock.url}/mock/enqueue`);
+}
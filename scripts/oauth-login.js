@@ -1,8 +1,14 @@
 #!/usr/bin/env node
 
+// Signs in to ChatGPT and stores the Codex OAuth tokens. Run with --help for the options.
+
 import crypto from "crypto";
 import http from "http";
 import fs from "fs";
+import readline from "readline/promises";
+import { parseArgs } from "util";
+import { writeJsonFileAtomic } from "../src/json-file.mjs";
+import { DEFAULT_ACCOUNT_NAME, fromTokenFile, toTokenFile } from "../src/token-store.mjs";
 
 const CLIENT_ID = "app_EMoamEEZ73f0CkXaXp7hrann";
 const ISSUER = "https://auth.openai.com";
@@ -13,6 +19,17 @@ const CALLBACK_PORT = 1455;
 const CALLBACK_PATH = "/auth/callback";
 const CALLBACK_TIMEOUT_MS = 5 * 60 * 1000;
 
+const USAGE = `Usage: npm run login -- [options]
+
+  --paste               Do not wait for the localhost callback; paste the redirected URL instead
+                        (for a remote machine without a local browser)
+  --account <name>      Store the tokens under this account name, keeping other accounts in the file
+  --tokens-file <path>  Write the token file (the default target, ".tokens.json")
+  --env-file <path>     Update OPENAI_ACCESS_TOKEN, OPENAI_REFRESH_TOKEN and CHATGPT_ACCOUNT_ID in this file
+  --proxy <url>         Send the tokens to a running proxy's POST /admin/accounts (uses ADMIN_SECRET from the env)
+  --wrangler            Print the wrangler secret commands for the Worker
+  --help                Show this help`;
+
 function base64url(buffer) {
   return buffer
     .toString("base64")
@@ -183,7 +200,114 @@ async function waitForOAuthCallback({ state, redirectUri }) {
   });
 }
 
+// The browser ends up on an unreachable localhost URL on remote machines; its address bar still holds the code.
+function parsePastedCallback(text, state) {
+  const trimmed = text.trim();
+  let params;
+  try {
+    params = new URL(trimmed).searchParams;
+  } catch {
+    params = new URLSearchParams(trimmed.replace(/^[^?]*\?/, ""));
+  }
+
+  const error = params.get("error");
+  if (error) throw new Error(params.get("error_description") || error);
+  if (params.get("state") !== state) throw new Error("State mismatch in pasted callback URL");
+  const code = params.get("code");
+  if (!code) throw new Error("No authorization code in pasted callback URL");
+  return code;
+}
+
+async function promptForCallback(state) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const pasted = await rl.question("Paste the full URL from the browser address bar: ");
+    return parsePastedCallback(pasted, state);
+  } finally {
+    rl.close();
+  }
+}
+
+function tokensToAccount(tokens, name) {
+  const expiresIn = Number(tokens.expires_in) || 3600;
+  return {
+    name,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    idToken: tokens.id_token,
+    expiresAt: Date.now() + expiresIn * 1000,
+    accountId: extractAccountId(tokens),
+  };
+}
+
+// Without --account the file is replaced, as before; with it, the other accounts in the file are kept.
+async function writeTokensFile(path, account, merge) {
+  let accounts = [account];
+  if (merge && fs.existsSync(path)) {
+    const existing = fromTokenFile(JSON.parse(fs.readFileSync(path, "utf8")));
+    const index = existing.findIndex((entry) => entry.name === account.name);
+    accounts = index === -1 ? [...existing, account] : existing.map((entry, i) => (i === index ? account : entry));
+  }
+  await writeJsonFileAtomic(path, toTokenFile(accounts));
+  console.log(`Saved tokens for "${account.name}" to ${path} (${accounts.length} account(s) in the file)`);
+}
+
+function updateEnvFile(path, values) {
+  const lines = fs.existsSync(path) ? fs.readFileSync(path, "utf8").replace(/\n$/, "").split("\n") : [];
+  const updates = Object.entries(values).filter(([, value]) => value);
+  for (const [name, value] of updates) {
+    const index = lines.findIndex((line) => line.startsWith(`${name}=`));
+    if (index === -1) lines.push(`${name}=${value}`);
+    else lines[index] = `${name}=${value}`;
+  }
+  fs.writeFileSync(path, `${lines.join("\n")}\n`, { mode: 0o600 });
+  console.log(`Updated ${updates.map(([name]) => name).join(", ")} in ${path}`);
+}
+
+async function pushToProxy(baseUrl, account) {
+  const adminSecret = process.env.ADMIN_SECRET;
+  if (!adminSecret) throw new Error("--proxy needs ADMIN_SECRET in the environment");
+
+  const response = await fetch(new URL("/admin/accounts", baseUrl), {
+    method: "POST",
+    headers: { Authorization: `Bearer ${adminSecret}`, "Content-Type": "application/json" },
+    body: JSON.stringify(toTokenFile([account])),
+  });
+  if (!response.ok) {
+    throw new Error(`Proxy rejected the tokens: ${response.status} ${await response.text()}`);
+  }
+  console.log(`Sent tokens for "${account.name}" to ${baseUrl}; the proxy uses them immediately`);
+}
+
+function printWranglerCommands(account) {
+  console.log("Run these commands to set worker secrets:");
+  console.log();
+  console.log("echo '" + account.accessToken + "' | wrangler secret put OPENAI_ACCESS_TOKEN");
+  console.log("echo '" + account.refreshToken + "' | wrangler secret put OPENAI_REFRESH_TOKEN");
+  console.log('echo "your-proxy-secret" | wrangler secret put PROXY_SECRET');
+  if (account.accountId) {
+    console.log("echo '" + account.accountId + "' | wrangler secret put CHATGPT_ACCOUNT_ID");
+  }
+  console.log();
+}
+
 async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      paste: { type: "boolean", default: false },
+      account: { type: "string" },
+      "tokens-file": { type: "string" },
+      "env-file": { type: "string" },
+      proxy: { type: "string" },
+      wrangler: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
   const redirectUri = `http://localhost:${CALLBACK_PORT}${CALLBACK_PATH}`;
   const { verifier, challenge } = generatePKCE();
   const state = generateState();
@@ -196,56 +320,52 @@ async function main() {
   console.log("Open this URL to authenticate:");
   console.log(authorizeURL);
   console.log();
-  console.log(`Waiting for callback on ${redirectUri}`);
-  console.log("(If browser does not open, copy-paste the URL manually)");
-  console.log();
-
-  openBrowser(authorizeURL);
-
-  const callback = await waitForOAuthCallback({ state, redirectUri });
-  const tokens = await exchangeCodeForTokens({
-    code: callback.code,
-    verifier,
-    redirectUri,
-  });
 
-  const accountId = extractAccountId(tokens);
-
-  const output = {
-    access_token: tokens.access_token,
-    refresh_token: tokens.refresh_token,
-    id_token: tokens.id_token,
-    expires_in: tokens.expires_in,
-    chatgpt_account_id: accountId,
-    obtained_at: new Date().toISOString(),
-    issuer: ISSUER,
-    client_id: CLIENT_ID,
-  };
+  let code;
+  if (options.paste) {
+    console.log("After signing in, the browser is sent to a localhost page that will not load.");
+    console.log("That is expected: copy the URL from its address bar.");
+    console.log();
+    code = await promptForCallback(state);
+  } else {
+    console.log(`Waiting for callback on ${redirectUri}`);
+    console.log("(If browser does not open, copy-paste the URL manually; on a remote machine use --paste)");
+    console.log();
+    openBrowser(authorizeURL);
+    ({ code } = await waitForOAuthCallback({ state, redirectUri }));
+  }
 
-  fs.writeFileSync(".tokens.json", JSON.stringify(output, null, 2));
+  const tokens = await exchangeCodeForTokens({ code, verifier, redirectUri });
+  const account = tokensToAccount(tokens, options.account || DEFAULT_ACCOUNT_NAME);
 
   console.log();
   console.log("=".repeat(60));
-  console.log("SUCCESS! Tokens saved to .tokens.json");
+  console.log("SUCCESS! Signed in");
   console.log("=".repeat(60));
   console.log();
-  if (accountId) {
-    console.log(`Detected ChatGPT account id: ${accountId}`);
-    console.log();
+  if (account.accountId) {
+    console.log(`Detected ChatGPT account id: ${account.accountId}`);
   } else {
     console.log("No account id found in token claims (you can still proceed).");
-    console.log();
   }
-
-  console.log("Run these commands to set worker secrets:");
   console.log();
-  console.log("echo '" + output.access_token + "' | wrangler secret put OPENAI_ACCESS_TOKEN");
-  console.log("echo '" + output.refresh_token + "' | wrangler secret put OPENAI_REFRESH_TOKEN");
-  console.log('echo "your-proxy-secret" | wrangler secret put PROXY_SECRET');
-  if (accountId) {
-    console.log("echo '" + accountId + "' | wrangler secret put CHATGPT_ACCOUNT_ID");
+
+  const explicitTarget = options["tokens-file"] || options["env-file"] || options.proxy || options.wrangler;
+  if (options["tokens-file"] || !explicitTarget) {
+    await writeTokensFile(options["tokens-file"] || ".tokens.json", account, Boolean(options.account));
+  }
+  if (options["env-file"]) {
+    updateEnvFile(options["env-file"], {
+      OPENAI_ACCESS_TOKEN: account.accessToken,
+      OPENAI_REFRESH_TOKEN: account.refreshToken,
+      CHATGPT_ACCOUNT_ID: account.accountId,
+    });
+  }
+  if (options.proxy) await pushToProxy(options.proxy, account);
+  if (options.wrangler) {
+    console.log();
+    printWranglerCommands(account);
   }
-  console.log();
 }
 
 main().catch((error) => {
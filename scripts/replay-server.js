@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+// Plays recordings written by the proxy (RECORDINGS_DIR) back as a fake Codex upstream.
+// Point CODEX_RESPONSES_API_URL and OPENAI_OAUTH_TOKEN_URL at this server to run the proxy offline.
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { upstreamBodyHash } from "../src/recorder.mjs";
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || ".recordings";
+const PORT = Number(process.env.REPLAY_PORT || "8089");
+const EVENT_DELAY_MS = Number(process.env.REPLAY_EVENT_DELAY_MS || "0");
+
+// Recordings are re-read on every request so new ones can be dropped in without a restart.
+function loadRecordings() {
+  const byHash = new Map();
+  const files = fs.existsSync(RECORDINGS_DIR) ? fs.readdirSync(RECORDINGS_DIR) : [];
+
+  for (const file of files.filter((name) => name.endsWith(".json"))) {
+    try {
+      const recording = JSON.parse(fs.readFileSync(path.join(RECORDINGS_DIR, file), "utf8"));
+      const hash = recording.upstream?.bodyHash;
+      if (!hash || !recording.response) continue;
+      if (!byHash.has(hash)) byHash.set(hash, []);
+      byHash.get(hash).push(recording);
+    } catch (error) {
+      console.warn(`[replay] skipping ${file}: ${error.message}`);
+    }
+  }
+
+  for (const list of byHash.values()) {
+    list.sort((a, b) => String(a.recordedAt).localeCompare(String(b.recordedAt)));
+  }
+  return byHash;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+// Identical requests are answered with their recordings in order, repeating the last one.
+const served = new Map();
+
+async function replay(req, res) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    sendJson(res, 400, { error: { message: "Invalid JSON body", type: "invalid_request_error" } });
+    return;
+  }
+
+  const hash = upstreamBodyHash(body);
+  const recordings = loadRecordings().get(hash);
+  if (!recordings) {
+    console.warn(`[replay] miss ${hash.slice(0, 12)} model=${body.model}`);
+    sendJson(res, 404, {
+      error: { message: `No recording matches this request (${hash})`, type: "replay_error", code: "replay_miss" },
+    });
+    return;
+  }
+
+  const count = served.get(hash) || 0;
+  served.set(hash, count + 1);
+  const recording = recordings[Math.min(count, recordings.length - 1)];
+  console.log(`[replay] ${recording.id} (${recording.route}) status=${recording.response.status}`);
+
+  res.writeHead(recording.response.status, {
+    "Content-Type": recording.response.headers?.["content-type"] || "text/event-stream",
+  });
+
+  const events = recording.response.transcript.split(/(?<=\n\n)/);
+  for (const event of events) {
+    res.write(event);
+    if (EVENT_DELAY_MS) await new Promise((resolve) => setTimeout(resolve, EVENT_DELAY_MS));
+  }
+  res.end();
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url || "/", `http://localhost:${PORT}`);
+
+  if (req.method === "POST" && url.pathname === "/oauth/token") {
+    sendJson(res, 200, { access_token: "replay-access-token", refresh_token: "replay-refresh-token", expires_in: 3600 });
+    return;
+  }
+
+  if (req.method === "POST") {
+    replay(req, res).catch((error) => {
+      console.error("[replay] failed:", error);
+      if (!res.headersSent) sendJson(res, 500, { error: { message: String(error), type: "replay_error" } });
+      else res.end();
+    });
+    return;
+  }
+
+  res.statusCode = 404;
+  res.end("Not found");
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Replaying ${RECORDINGS_DIR} on http://127.0.0.1:${PORT}`);
+  console.log(`  CODEX_RESPONSES_API_URL=http://127.0.0.1:${PORT}/backend-api/codex/responses`);
+  console.log(`  OPENAI_OAUTH_TOKEN_URL=http://127.0.0.1:${PORT}/oauth/token`);
+});
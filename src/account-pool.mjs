@@ -0,0 +1,157 @@
+import { asString, isObject } from "./utils.mjs";
+
+export const SELECTION_STRATEGIES = ["round-robin", "least-recently-limited"];
+
+const DEFAULT_LIMIT_COOLDOWN_MS = 60_000;
+const MAX_STICKY_SESSIONS = 10_000;
+
+// Returns how long an account should rest, or undefined when the response is not a usage limit.
+export function usageLimitRetryMs(status, headers, bodyText) {
+  let error;
+  try {
+    const parsed = JSON.parse(bodyText);
+    error = isObject(parsed) && isObject(parsed.error) ? parsed.error : parsed;
+  } catch {
+    error = undefined;
+  }
+
+  const kind = `${asString(error?.type) || ""} ${asString(error?.code) || ""}`;
+  if (status !== 429 && !/usage_limit|rate_limit/.test(kind)) return undefined;
+
+  const resetsIn = Number(error?.resets_in_seconds);
+  if (Number.isFinite(resetsIn) && resetsIn > 0) return resetsIn * 1000;
+
+  const retryAfter = Number(headers.get("retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+
+  return DEFAULT_LIMIT_COOLDOWN_MS;
+}
+
+export function createAccountPool(initialAccounts, { strategy = "round-robin", maxConcurrent = 0 } = {}) {
+  const withRuntimeState = (account) => ({
+    ...account,
+    limitedUntil: 0,
+    lastLimitedAt: 0,
+    lastUsedAt: 0,
+    inFlight: 0,
+  });
+  const accounts = initialAccounts.map(withRuntimeState);
+  const sessions = new Map();
+  const waiters = [];
+  let cursor = 0;
+
+  const hasCapacity = (account) => !maxConcurrent || account.inFlight < maxConcurrent;
+
+  const bindSession = (sessionId, account) => {
+    sessions.delete(sessionId);
+    sessions.set(sessionId, account);
+    if (sessions.size > MAX_STICKY_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  };
+
+  const nextRoundRobin = (candidates) => {
+    for (let offset = 0; offset < accounts.length; offset += 1) {
+      const index = (cursor + offset) % accounts.length;
+      if (candidates.includes(accounts[index])) {
+        cursor = (index + 1) % accounts.length;
+        return accounts[index];
+      }
+    }
+    return candidates[0];
+  };
+
+  const leastRecentlyLimited = (candidates) =>
+    candidates.reduce((best, account) => {
+      if (account.lastLimitedAt !== best.lastLimitedAt) {
+        return account.lastLimitedAt < best.lastLimitedAt ? account : best;
+      }
+      return account.lastUsedAt < best.lastUsedAt ? account : best;
+    });
+
+  return {
+    accounts,
+    strategy,
+    maxConcurrent,
+
+    // Accounts already at their concurrency limit are skipped; null means nothing is usable right now.
+    select({ sessionId, exclude = new Set() } = {}) {
+      const now = Date.now();
+      const eligible = accounts.filter((account) => !exclude.has(account) && hasCapacity(account));
+      if (!eligible.length) return null;
+
+      // Keeping a session on one account preserves upstream prompt caching.
+      const sticky = sessionId ? sessions.get(sessionId) : undefined;
+      let account =
+        sticky && eligible.includes(sticky) && sticky.limitedUntil <= now ? sticky : undefined;
+
+      if (!account) {
+        const available = eligible.filter((candidate) => candidate.limitedUntil <= now);
+        if (available.length) {
+          account = strategy === "least-recently-limited" ? leastRecentlyLimited(available) : nextRoundRobin(available);
+        } else {
+          // Every account is limited: use the one whose limit lifts first instead of failing outright.
+          account = eligible.reduce((best, candidate) => (candidate.limitedUntil < best.limitedUntil ? candidate : best));
+        }
+      }
+
+      account.lastUsedAt = now;
+      if (sessionId) bindSession(sessionId, account);
+      return account;
+    },
+
+    acquire(account) {
+      account.inFlight += 1;
+    },
+
+    release(account) {
+      account.inFlight = Math.max(account.inFlight - 1, 0);
+      const waiter = waiters.shift();
+      if (waiter) waiter(true);
+    },
+
+    // Resolves true once any slot is released, or false after timeoutMs.
+    waitForCapacity(timeoutMs) {
+      if (timeoutMs <= 0) return Promise.resolve(false);
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          const index = waiters.indexOf(wake);
+          if (index !== -1) waiters.splice(index, 1);
+          resolve(false);
+        }, timeoutMs);
+        const wake = (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        };
+        waiters.push(wake);
+      });
+    },
+
+    // New tokens for a known account name replace the old ones (and clear its usage limit); other names are added.
+    upsert(account) {
+      const existing = accounts.find((candidate) => candidate.name === account.name);
+      if (existing) return Object.assign(existing, account, { limitedUntil: 0 });
+      const added = withRuntimeState(account);
+      accounts.push(added);
+      return added;
+    },
+
+    // Requests already using the account finish on it; sessions pinned to it move on their next request.
+    remove(account) {
+      const index = accounts.indexOf(account);
+      if (index === -1) return false;
+      accounts.splice(index, 1);
+      cursor = accounts.length ? cursor % accounts.length : 0;
+      for (const [sessionId, pinned] of sessions) {
+        if (pinned === account) sessions.delete(sessionId);
+      }
+      return true;
+    },
+
+    markLimited(account, retryMs = DEFAULT_LIMIT_COOLDOWN_MS) {
+      const now = Date.now();
+      account.lastLimitedAt = now;
+      account.limitedUntil = now + retryMs;
+    },
+  };
+}
@@ -0,0 +1,390 @@
+import { upstreamErrorFromEvent, upstreamErrorStatus } from "./responses-assembler.mjs";
+import { normalizeToolChoice, normalizeTools } from "./tools.mjs";
+import { asString, isObject } from "./utils.mjs";
+
+function blocksToText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((block) => isObject(block) && block.type === "text" && typeof block.text === "string")
+    .map((block) => block.text)
+    .join("\n");
+}
+
+function imageBlockToInput(block) {
+  const source = isObject(block.source) ? block.source : {};
+  if (source.type === "base64" && typeof source.data === "string") {
+    const mediaType = asString(source.media_type) || "image/png";
+    return { type: "input_image", image_url: `data:${mediaType};base64,${source.data}`, detail: "auto" };
+  }
+  if (source.type === "url" && typeof source.url === "string") {
+    return { type: "input_image", image_url: source.url, detail: "auto" };
+  }
+  return undefined;
+}
+
+// Resolved into text (or an image) by the attachment resolver, like any other file part.
+function documentBlockToInput(block) {
+  const source = isObject(block.source) ? block.source : {};
+  const filename = asString(block.title) || "document";
+  if (source.type === "base64" && typeof source.data === "string") {
+    const mediaType = asString(source.media_type) || "application/octet-stream";
+    return { type: "input_file", filename, file_data: `data:${mediaType};base64,${source.data}` };
+  }
+  if (source.type === "text" && typeof source.data === "string") {
+    return { type: "input_file", filename, file_data: `data:text/plain,${encodeURIComponent(source.data)}` };
+  }
+  if (source.type === "url" && typeof source.url === "string") {
+    return { type: "input_file", filename, file_url: source.url };
+  }
+  return undefined;
+}
+
+export function anthropicMessagesToInput(system, messages) {
+  const input = [];
+
+  const systemText = blocksToText(system);
+  if (systemText) {
+    input.push({ type: "message", role: "system", content: [{ type: "input_text", text: systemText }] });
+  }
+
+  for (const message of messages) {
+    if (!isObject(message)) continue;
+    const role = message.role === "assistant" ? "assistant" : "user";
+    const textType = role === "assistant" ? "output_text" : "input_text";
+    const blocks = typeof message.content === "string" ? [{ type: "text", text: message.content }] : message.content;
+    if (!Array.isArray(blocks)) continue;
+
+    // Tool items must keep their position relative to the surrounding text.
+    let parts = [];
+    const flush = () => {
+      if (parts.length) input.push({ type: "message", role, content: parts });
+      parts = [];
+    };
+
+    for (const block of blocks) {
+      if (!isObject(block)) continue;
+
+      if (block.type === "text" && typeof block.text === "string") {
+        if (block.text) parts.push({ type: textType, text: block.text });
+      } else if (block.type === "image" && role === "user") {
+        const image = imageBlockToInput(block);
+        if (image) parts.push(image);
+      } else if (block.type === "document" && role === "user") {
+        const document = documentBlockToInput(block);
+        if (document) parts.push(document);
+      } else if (block.type === "tool_use" && role === "assistant") {
+        flush();
+        input.push({
+          type: "function_call",
+          call_id: asString(block.id) || `toolu_${crypto.randomUUID().replace(/-/g, "")}`,
+          name: asString(block.name) || "",
+          arguments: JSON.stringify(isObject(block.input) ? block.input : {}),
+        });
+      } else if (block.type === "tool_result") {
+        flush();
+        const output = blocksToText(block.content);
+        input.push({
+          type: "function_call_output",
+          call_id: asString(block.tool_use_id) || "",
+          output: block.is_error === true ? `Error: ${output}` : output,
+        });
+      }
+      // thinking blocks carry no replayable reasoning state for Codex and are dropped.
+    }
+
+    flush();
+  }
+
+  return input;
+}
+
+// Anthropic server tools (bash_20250124, ...) have no Codex counterpart, so every named tool becomes a function.
+function anthropicToolsToResponses(tools) {
+  return normalizeTools(
+    tools
+      .filter((tool) => isObject(tool) && typeof tool.name === "string")
+      .map((tool) => ({ name: tool.name, description: tool.description, input_schema: tool.input_schema ?? null })),
+  );
+}
+
+function thinkingToEffort(thinking) {
+  const budget = Number(thinking.budget_tokens) || 0;
+  if (budget >= 16_000) return "high";
+  if (budget >= 4_000) return "medium";
+  return "low";
+}
+
+export function anthropicRequestToResponsesBody(raw) {
+  const body = isObject(raw) ? raw : {};
+  const model = asString(body.model);
+  // Claude model names from agent defaults fall back to the proxy's default Codex model.
+  const translated = { model: model && !/^claude/i.test(model) ? model : undefined };
+
+  const input = anthropicMessagesToInput(body.system, Array.isArray(body.messages) ? body.messages : []);
+  if (input.length) translated.input = input;
+
+  if (Array.isArray(body.tools)) translated.tools = anthropicToolsToResponses(body.tools);
+  if (body.tool_choice !== undefined) translated.tool_choice = normalizeToolChoice(body.tool_choice);
+  if (isObject(body.tool_choice) && body.tool_choice.disable_parallel_tool_use === true) {
+    translated.parallel_tool_calls = false;
+  }
+
+  if (isObject(body.thinking) && body.thinking.type === "enabled") {
+    translated.reasoning = { effort: thinkingToEffort(body.thinking), summary: "auto" };
+  }
+
+  return translated;
+}
+
+function toAnthropicUsage(usage) {
+  const source = isObject(usage) ? usage : {};
+  const cached = Number(source.input_tokens_details?.cached_tokens) || 0;
+  return {
+    input_tokens: Math.max((Number(source.input_tokens) || 0) - cached, 0),
+    output_tokens: Number(source.output_tokens) || 0,
+    cache_read_input_tokens: cached,
+    cache_creation_input_tokens: 0,
+  };
+}
+
+const ERROR_TYPES_BY_STATUS = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  503: "overloaded_error",
+};
+
+export function anthropicError(status, message) {
+  return {
+    type: "error",
+    error: { type: ERROR_TYPES_BY_STATUS[status] || "api_error", message },
+  };
+}
+
+export function anthropicErrorFromUpstream(status, text) {
+  let message = text || `Upstream returned ${status}`;
+  try {
+    const parsed = JSON.parse(text);
+    if (isObject(parsed)) {
+      message = asString(parsed.error?.message) || asString(parsed.detail) || asString(parsed.message) || message;
+    }
+  } catch {
+    // keep raw upstream text
+  }
+  return anthropicError(status, message);
+}
+
+function upstreamFailureMessage(data) {
+  const error = data.type === "response.failed" ? data.response?.error : isObject(data.error) ? data.error : data;
+  return asString(error?.message) || "Upstream response failed";
+}
+
+function stopReasonFor(response, sawToolUse) {
+  if (isObject(response) && response.status === "incomplete") {
+    return response.incomplete_details?.reason === "max_output_tokens" ? "max_tokens" : "end_turn";
+  }
+  return sawToolUse ? "tool_use" : "end_turn";
+}
+
+// Turns Codex Responses events into Anthropic Messages stream events, one event at a time.
+export function createAnthropicStreamTranslator({ model }) {
+  const id = `msg_${crypto.randomUUID().replace(/-/g, "")}`;
+  let started = false;
+  let blockIndex = -1;
+  let openBlock = null;
+  let sawToolUse = false;
+  const toolBlocks = new Map();
+
+  const emit = (out, data) => out.push({ event: data.type, data });
+
+  const start = (out) => {
+    if (started) return;
+    started = true;
+    emit(out, {
+      type: "message_start",
+      message: {
+        id,
+        type: "message",
+        role: "assistant",
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 },
+      },
+    });
+    emit(out, { type: "ping" });
+  };
+
+  const closeBlock = (out) => {
+    if (!openBlock) return;
+    emit(out, { type: "content_block_stop", index: blockIndex });
+    openBlock = null;
+  };
+
+  const ensureBlock = (out, key, contentBlock) => {
+    start(out);
+    if (openBlock?.key === key) return false;
+    closeBlock(out);
+    blockIndex += 1;
+    openBlock = { key, type: contentBlock.type };
+    emit(out, { type: "content_block_start", index: blockIndex, content_block: contentBlock });
+    return true;
+  };
+
+  return {
+    push(data) {
+      const out = [];
+      if (!isObject(data)) return out;
+
+      switch (data.type) {
+        case "response.created":
+          start(out);
+          break;
+
+        case "response.reasoning_summary_text.delta": {
+          if (typeof data.delta !== "string" || !data.delta) break;
+          const key = `reasoning:${data.output_index}`;
+          const opened = ensureBlock(out, key, { type: "thinking", thinking: "", signature: "" });
+          const separator = !opened && data.summary_index !== openBlock.summaryIndex ? "\n\n" : "";
+          openBlock.summaryIndex = data.summary_index;
+          emit(out, {
+            type: "content_block_delta",
+            index: blockIndex,
+            delta: { type: "thinking_delta", thinking: separator + data.delta },
+          });
+          break;
+        }
+
+        case "response.output_text.delta":
+          if (typeof data.delta !== "string" || !data.delta) break;
+          ensureBlock(out, `text:${data.output_index}:${data.content_index}`, { type: "text", text: "" });
+          emit(out, {
+            type: "content_block_delta",
+            index: blockIndex,
+            delta: { type: "text_delta", text: data.delta },
+          });
+          break;
+
+        case "response.output_item.added": {
+          const item = data.item;
+          if (!isObject(item) || item.type !== "function_call") break;
+          sawToolUse = true;
+          ensureBlock(out, `tool:${data.output_index}`, { type: "tool_use", id: item.call_id, name: item.name, input: {} });
+          toolBlocks.set(data.output_index, { streamed: false });
+          break;
+        }
+
+        case "response.function_call_arguments.delta": {
+          const tool = toolBlocks.get(data.output_index);
+          if (!tool || openBlock?.key !== `tool:${data.output_index}` || typeof data.delta !== "string") break;
+          tool.streamed = true;
+          emit(out, {
+            type: "content_block_delta",
+            index: blockIndex,
+            delta: { type: "input_json_delta", partial_json: data.delta },
+          });
+          break;
+        }
+
+        case "response.output_item.done": {
+          const tool = toolBlocks.get(data.output_index);
+          const args = isObject(data.item) ? asString(data.item.arguments) : undefined;
+          if (!tool || tool.streamed || !args || openBlock?.key !== `tool:${data.output_index}`) break;
+          tool.streamed = true;
+          emit(out, {
+            type: "content_block_delta",
+            index: blockIndex,
+            delta: { type: "input_json_delta", partial_json: args },
+          });
+          break;
+        }
+
+        case "response.completed":
+        case "response.incomplete": {
+          const response = isObject(data.response) ? data.response : {};
+          start(out);
+          closeBlock(out);
+          emit(out, {
+            type: "message_delta",
+            delta: { stop_reason: stopReasonFor(response, sawToolUse), stop_sequence: null },
+            usage: toAnthropicUsage(response.usage),
+          });
+          emit(out, { type: "message_stop" });
+          break;
+        }
+
+        case "response.failed":
+        case "error":
+          emit(out, anthropicError(upstreamErrorStatus(upstreamErrorFromEvent(data)), upstreamFailureMessage(data)));
+          break;
+
+        default:
+          break;
+      }
+
+      return out;
+    },
+  };
+}
+
+// Folds the stream events back into a single Anthropic message object.
+export function buildAnthropicMessageFromEvents(events, model) {
+  const translator = createAnthropicStreamTranslator({ model });
+  let message = null;
+  let error = null;
+  let status;
+  let completed = false;
+  const partialJson = new Map();
+
+  for (const entry of events) {
+    const upstreamError = upstreamErrorFromEvent(entry.data);
+    if (upstreamError) status = upstreamErrorStatus(upstreamError);
+    for (const { data } of translator.push(entry.data)) {
+      switch (data.type) {
+        case "message_start":
+          message = { ...data.message, content: [] };
+          break;
+        case "content_block_start":
+          message.content[data.index] = { ...data.content_block };
+          break;
+        case "content_block_delta": {
+          const block = message.content[data.index];
+          if (data.delta.type === "text_delta") block.text += data.delta.text;
+          if (data.delta.type === "thinking_delta") block.thinking += data.delta.thinking;
+          if (data.delta.type === "input_json_delta") {
+            partialJson.set(data.index, (partialJson.get(data.index) || "") + data.delta.partial_json);
+          }
+          break;
+        }
+        case "content_block_stop": {
+          const json = partialJson.get(data.index);
+          if (json) {
+            try {
+              message.content[data.index].input = JSON.parse(json);
+            } catch {
+              message.content[data.index].input = {};
+            }
+          }
+          break;
+        }
+        case "message_delta":
+          message.stop_reason = data.delta.stop_reason;
+          message.usage = data.usage;
+          completed = true;
+          break;
+        case "error":
+          error = data;
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return { error, status, message: completed ? message : null };
+}
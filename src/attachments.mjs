@@ -0,0 +1,325 @@
+import { asString, isObject } from "./utils.mjs";
+
+const MB = 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+export const DEFAULT_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+export const DEFAULT_FILE_TYPES = ["text/*", "application/json", "application/xml", "application/yaml", "application/x-yaml"];
+
+const TYPES_BY_EXTENSION = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  html: "text/html",
+  json: "application/json",
+  xml: "application/xml",
+  yaml: "application/yaml",
+  yml: "application/yaml",
+};
+
+export class AttachmentError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function formatSize(bytes) {
+  return bytes >= MB / 10 ? `${(bytes / MB).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function matchesType(type, allowed) {
+  return allowed.some((pattern) => (pattern.endsWith("/*") ? type.startsWith(pattern.slice(0, -1)) : type === pattern));
+}
+
+function typeFromName(name) {
+  const extension = /\.([a-z0-9]+)$/i.exec(name || "")?.[1]?.toLowerCase();
+  return (extension && TYPES_BY_EXTENSION[extension]) || "";
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  try {
+    return Uint8Array.from(atob(base64.replace(/\s/g, "")), (char) => char.charCodeAt(0));
+  } catch {
+    throw new AttachmentError("Attachment is not valid base64", "invalid_attachment");
+  }
+}
+
+function parseDataUrl(url) {
+  const match = /^data:([^,]*?),(.*)$/s.exec(url);
+  if (!match) throw new AttachmentError("Malformed data URL", "invalid_attachment");
+  const params = match[1].split(";");
+  const base64 = params.at(-1)?.toLowerCase() === "base64";
+  let text;
+  try {
+    text = base64 ? undefined : decodeURIComponent(match[2]);
+  } catch {
+    throw new AttachmentError("Malformed data URL", "invalid_attachment");
+  }
+  return {
+    type: params[0].trim().toLowerCase(),
+    bytes: base64 ? base64ToBytes(match[2]) : new TextEncoder().encode(text),
+  };
+}
+
+function ipv4Bytes(address) {
+  const parts = address.split(".");
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.map(Number);
+}
+
+// The 16 bytes of an IPv6 address, with an embedded IPv4 tail (::ffff:127.0.0.1) expanded; null if malformed.
+function ipv6Bytes(address) {
+  let text = address.toLowerCase().replace(/%.*$/, "");
+  const tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (tail) {
+    const v4 = ipv4Bytes(tail[1]);
+    if (!v4) return null;
+    text = text.slice(0, -tail[1].length) + `${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+  }
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const groups = halves.map((half) => (half ? half.split(":") : []));
+  const missing = 8 - groups.flat().length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const all = halves.length === 1 ? groups[0] : [...groups[0], ...Array(missing).fill("0"), ...groups[1]];
+  if (!all.every((group) => /^[0-9a-f]{1,4}$/.test(group))) return null;
+  return all.flatMap((group) => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]);
+}
+
+function isPublicIpv4([a, b, c]) {
+  return !(
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    a >= 224 ||
+    (a === 100 && b >= 64 && b < 128) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b < 32) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 198 && (b === 18 || b === 19))
+  );
+}
+
+// False for loopback, private, link-local, CGNAT, multicast and reserved addresses, and for anything that is
+// not an IP address at all.
+export function isPublicAddress(address) {
+  const v4 = ipv4Bytes(address);
+  if (v4) return isPublicIpv4(v4);
+  const v6 = ipv6Bytes(address);
+  if (!v6) return false;
+  const prefixZero = (length) => v6.slice(0, length).every((byte) => byte === 0);
+  // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) addresses reach the embedded IPv4 address.
+  if (prefixZero(10) && v6[10] === 0xff && v6[11] === 0xff) return isPublicIpv4(v6.slice(12));
+  if (v6[0] === 0 && v6[1] === 0x64 && v6[2] === 0xff && v6[3] === 0x9b && v6.slice(4, 12).every((byte) => byte === 0)) {
+    return isPublicIpv4(v6.slice(12));
+  }
+  if (prefixZero(15)) return false; // :: and ::1
+  if ((v6[0] & 0xfe) === 0xfc) return false; // fc00::/7 unique local
+  if (v6[0] === 0xfe && (v6[1] & 0xc0) === 0x80) return false; // fe80::/10 link-local
+  if (v6[0] === 0xff) return false; // multicast
+  return true;
+}
+
+// Text attachments rarely come with a useful MIME type; anything that decodes as UTF-8 without NULs counts as text.
+function decodeText(bytes) {
+  try {
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return text.includes("\0") ? undefined : text;
+  } catch {
+    return undefined;
+  }
+}
+
+// Replaces remote and inline attachments in Responses `input` with parts Codex accepts:
+// images become base64 `input_image` data URLs and text files become `input_text`. Unless `fetchRemote` is
+// set, http(s) URLs are left for the upstream to fetch.
+export function createAttachmentResolver({
+  maxImageBytes = 10 * MB,
+  maxFileBytes = 1 * MB,
+  imageTypes = DEFAULT_IMAGE_TYPES,
+  fileTypes = DEFAULT_FILE_TYPES,
+  fetchRemote = false,
+  fetchTimeoutMs = 10_000,
+  // (hostname) => addresses; without it only IP literals and localhost names can be checked.
+  lookupHost = null,
+} = {}) {
+  const checkSize = (size, limit, what) => {
+    if (size > limit) {
+      throw new AttachmentError(
+        `${what} is ${formatSize(size)}, above the ${formatSize(limit)} limit`,
+        "attachment_too_large",
+        413,
+      );
+    }
+  };
+
+  // Clients choose attachment URLs, so they must not reach the proxy's own host or network.
+  const checkRemoteUrl = async (url) => {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    const literal = Boolean(ipv4Bytes(host) || ipv6Bytes(host));
+    let addresses = literal ? [host] : [];
+    if (!literal && lookupHost && host !== "localhost" && !host.endsWith(".localhost")) {
+      try {
+        addresses = await lookupHost(host);
+      } catch (error) {
+        throw new AttachmentError(`Could not fetch ${url}: ${error.message}`, "attachment_fetch_failed");
+      }
+    }
+    const blocked = host === "localhost" || host.endsWith(".localhost") || addresses.some((address) => !isPublicAddress(address));
+    if (blocked) {
+      throw new AttachmentError(`Could not fetch ${url}: it points to a private or local address`, "attachment_url_not_allowed");
+    }
+  };
+
+  const isRemote = (url) => /^https?:\/\//i.test(url);
+
+  const download = async (url, limit, what) => {
+    // Redirects are followed by hand so every hop is checked.
+    const signal = AbortSignal.timeout(fetchTimeoutMs);
+    let response;
+    for (let hops = 0; ; hops += 1) {
+      await checkRemoteUrl(url);
+      try {
+        response = await fetch(url, { signal, redirect: "manual" });
+      } catch (error) {
+        throw new AttachmentError(`Could not fetch ${url}: ${error.message}`, "attachment_fetch_failed");
+      }
+      const location = REDIRECT_STATUSES.has(response.status) ? response.headers.get("location") : null;
+      if (!location) break;
+      await response.body?.cancel();
+      if (hops === MAX_REDIRECTS) throw new AttachmentError(`Could not fetch ${url}: too many redirects`, "attachment_fetch_failed");
+      const next = new URL(location, url);
+      if (!/^https?:$/.test(next.protocol)) {
+        throw new AttachmentError(`Could not fetch ${url}: redirected to a non-http(s) URL`, "attachment_fetch_failed");
+      }
+      url = next.href;
+    }
+    if (!response.ok) {
+      throw new AttachmentError(`Could not fetch ${url}: HTTP ${response.status}`, "attachment_fetch_failed");
+    }
+    checkSize(Number(response.headers.get("content-length")) || 0, limit, what);
+
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body ?? []) {
+      total += chunk.length;
+      checkSize(total, limit, what);
+      chunks.push(chunk);
+    }
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    const type = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    return { type: type && type !== "application/octet-stream" ? type : typeFromName(new URL(url).pathname), bytes };
+  };
+
+  const load = async (url, limit, what) => {
+    if (url.startsWith("data:")) {
+      const loaded = parseDataUrl(url);
+      checkSize(loaded.bytes.length, limit, what);
+      return loaded;
+    }
+    if (isRemote(url)) return download(url, limit, what);
+    throw new AttachmentError(`${what} URLs must be data: or http(s): URLs`, "invalid_attachment");
+  };
+
+  const imagePart = (type, bytes, detail) => {
+    if (!matchesType(type, imageTypes)) {
+      throw new AttachmentError(
+        `Unsupported image type "${type || "unknown"}" (allowed: ${imageTypes.join(", ")})`,
+        "unsupported_attachment_type",
+      );
+    }
+    return { type: "input_image", image_url: `data:${type};base64,${bytesToBase64(bytes)}`, detail: detail || "auto" };
+  };
+
+  const resolveImage = async (imageUrl, detail) => {
+    if (!imageUrl) throw new AttachmentError("Image part has no image_url", "invalid_attachment");
+    if (!fetchRemote && isRemote(imageUrl)) return { type: "input_image", image_url: imageUrl, detail: detail || "auto" };
+    const { type, bytes } = await load(imageUrl, maxImageBytes, "Image");
+    return imagePart(type, bytes, detail);
+  };
+
+  const resolveFile = async (part) => {
+    const filename = asString(part.filename) || "attachment";
+    const fileData = asString(part.file_data);
+    const fileUrl = asString(part.file_url);
+    if (!fileData && !fileUrl) {
+      throw new AttachmentError("File attachments need file_data or file_url; uploaded file ids are not supported", "invalid_attachment");
+    }
+    if (!fileData && !fetchRemote && isRemote(fileUrl)) return part;
+
+    const loaded = fileData?.startsWith("data:")
+      ? await load(fileData, Math.max(maxFileBytes, maxImageBytes), "File")
+      : fileData
+        ? { type: typeFromName(filename), bytes: base64ToBytes(fileData) }
+        : await load(fileUrl, Math.max(maxFileBytes, maxImageBytes), "File");
+    const type = loaded.type || typeFromName(filename);
+
+    // Some clients send screenshots as generic file parts.
+    if (matchesType(type, imageTypes)) {
+      checkSize(loaded.bytes.length, maxImageBytes, `Image ${filename}`);
+      return imagePart(type, loaded.bytes);
+    }
+
+    checkSize(loaded.bytes.length, maxFileBytes, `File ${filename}`);
+    const text = type && !matchesType(type, fileTypes) ? undefined : decodeText(loaded.bytes);
+    if (text === undefined) {
+      throw new AttachmentError(
+        `Unsupported file type "${type || "binary"}" for ${filename} (allowed: ${fileTypes.join(", ")})`,
+        "unsupported_attachment_type",
+      );
+    }
+    return { type: "input_text", text: `<file name="${filename}">\n${text.replace(/\n$/, "")}\n</file>` };
+  };
+
+  const resolvePart = async (part) => {
+    if (!isObject(part)) return part;
+    switch (part.type) {
+      case "input_image":
+        return part.file_id ? part : resolveImage(asString(part.image_url), asString(part.detail));
+      case "image_url": {
+        const image = isObject(part.image_url) ? part.image_url : { url: part.image_url };
+        return resolveImage(asString(image.url), asString(image.detail));
+      }
+      case "input_file":
+        return resolveFile(part);
+      default:
+        return part;
+    }
+  };
+
+  return {
+    async resolve(input) {
+      if (!Array.isArray(input)) return input;
+      return Promise.all(
+        input.map(async (item) => {
+          if (!isObject(item) || !Array.isArray(item.content) || item.role === "assistant") return item;
+          return { ...item, content: await Promise.all(item.content.map(resolvePart)) };
+        }),
+      );
+    },
+  };
+}
@@ -0,0 +1,348 @@
+import { upstreamErrorStatus } from "./responses-assembler.mjs";
+import { normalizeToolChoice, normalizeTools } from "./tools.mjs";
+import { asString, isObject } from "./utils.mjs";
+
+function contentToText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((part) => {
+      if (typeof part === "string") return part;
+      return isObject(part) ? asString(part.text) || "" : "";
+    })
+    .join("");
+}
+
+function contentToInputParts(content, role) {
+  const textType = role === "assistant" ? "output_text" : "input_text";
+  if (typeof content === "string") return content ? [{ type: textType, text: content }] : [];
+  if (!Array.isArray(content)) return [];
+
+  const parts = [];
+  for (const part of content) {
+    if (typeof part === "string") {
+      parts.push({ type: textType, text: part });
+      continue;
+    }
+    if (!isObject(part)) continue;
+
+    const type = asString(part.type);
+    if ((type === "text" || type === "input_text" || type === "output_text") && typeof part.text === "string") {
+      parts.push({ type: textType, text: part.text });
+    } else if (type === "image_url" && role !== "assistant") {
+      const imageUrl = isObject(part.image_url) ? asString(part.image_url.url) : asString(part.image_url);
+      if (!imageUrl) continue;
+      const detail = isObject(part.image_url) ? asString(part.image_url.detail) : undefined;
+      parts.push({ type: "input_image", image_url: imageUrl, detail: detail || "auto" });
+    } else if (type === "file" && isObject(part.file) && role !== "assistant") {
+      parts.push({ type: "input_file", ...part.file });
+    } else if ((type === "input_image" || type === "input_file") && role !== "assistant") {
+      parts.push(part);
+    }
+  }
+  return parts;
+}
+
+export function chatMessagesToInput(messages) {
+  const input = [];
+  // Results of custom (freeform) tool calls go back as custom_tool_call_output items.
+  const customCallIds = new Set();
+
+  for (const message of messages) {
+    if (!isObject(message)) continue;
+    const role = asString(message.role) || "user";
+
+    if (role === "tool") {
+      const callId = asString(message.tool_call_id) || "";
+      input.push({
+        type: customCallIds.has(callId) ? "custom_tool_call_output" : "function_call_output",
+        call_id: callId,
+        output: contentToText(message.content),
+      });
+      continue;
+    }
+
+    const content = contentToInputParts(message.content, role);
+    if (content.length) {
+      input.push({ type: "message", role, content });
+    }
+
+    if (role === "assistant" && Array.isArray(message.tool_calls)) {
+      for (const call of message.tool_calls) {
+        if (isObject(call) && call.type === "custom" && isObject(call.custom)) {
+          const callId = asString(call.id) || `call_${crypto.randomUUID().replace(/-/g, "")}`;
+          customCallIds.add(callId);
+          input.push({
+            type: "custom_tool_call",
+            call_id: callId,
+            name: asString(call.custom.name) || "",
+            input: asString(call.custom.input) || "",
+          });
+          continue;
+        }
+        if (!isObject(call) || !isObject(call.function)) continue;
+        input.push({
+          type: "function_call",
+          call_id: asString(call.id) || `call_${crypto.randomUUID().replace(/-/g, "")}`,
+          name: asString(call.function.name) || "",
+          arguments: asString(call.function.arguments) || "{}",
+        });
+      }
+    }
+  }
+
+  return input;
+}
+
+function chatResponseFormatToText(responseFormat) {
+  if (!isObject(responseFormat)) return undefined;
+  if (responseFormat.type === "json_object") return { format: { type: "json_object" } };
+  if (responseFormat.type === "json_schema" && isObject(responseFormat.json_schema)) {
+    const schema = responseFormat.json_schema;
+    return {
+      format: {
+        type: "json_schema",
+        name: schema.name || "response",
+        schema: schema.schema,
+        ...(schema.description ? { description: schema.description } : {}),
+        ...(typeof schema.strict === "boolean" ? { strict: schema.strict } : {}),
+      },
+    };
+  }
+  return undefined;
+}
+
+export function chatRequestToResponsesBody(raw) {
+  const body = isObject(raw) ? raw : {};
+  const translated = { model: body.model };
+
+  const input = Array.isArray(body.messages) ? chatMessagesToInput(body.messages) : [];
+  if (input.length) translated.input = input;
+
+  if (Array.isArray(body.tools)) translated.tools = normalizeTools(body.tools);
+  if (body.tool_choice !== undefined) translated.tool_choice = normalizeToolChoice(body.tool_choice);
+  if (typeof body.parallel_tool_calls === "boolean") translated.parallel_tool_calls = body.parallel_tool_calls;
+
+  const effort = asString(body.reasoning_effort);
+  if (effort) translated.reasoning = { effort };
+
+  const text = chatResponseFormatToText(body.response_format);
+  if (text) translated.text = text;
+
+  return translated;
+}
+
+export function toChatUsage(usage) {
+  if (!isObject(usage)) return undefined;
+  const promptTokens = Number(usage.input_tokens) || 0;
+  const completionTokens = Number(usage.output_tokens) || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: Number(usage.total_tokens) || promptTokens + completionTokens,
+    prompt_tokens_details: {
+      cached_tokens: Number(usage.input_tokens_details?.cached_tokens) || 0,
+    },
+    completion_tokens_details: {
+      reasoning_tokens: Number(usage.output_tokens_details?.reasoning_tokens) || 0,
+    },
+  };
+}
+
+function toChatError(error) {
+  const source = isObject(error) ? error : {};
+  return {
+    message: asString(source.message) || "Upstream response failed",
+    type: asString(source.type) || "upstream_error",
+    code: source.code ?? null,
+  };
+}
+
+export function chatErrorFromUpstream(status, text) {
+  let message = text || `Upstream returned ${status}`;
+  try {
+    const parsed = JSON.parse(text);
+    if (isObject(parsed)) {
+      message = asString(parsed.error?.message) || asString(parsed.detail) || asString(parsed.message) || message;
+    }
+  } catch {
+    // keep raw upstream text
+  }
+  return { error: { message, type: "upstream_error", code: status } };
+}
+
+function finishReasonFor(response, sawToolCall) {
+  if (isObject(response) && response.status === "incomplete") {
+    return response.incomplete_details?.reason === "content_filter" ? "content_filter" : "length";
+  }
+  return sawToolCall ? "tool_calls" : "stop";
+}
+
+// Turns Codex Responses events into chat.completion.chunk payloads, one event at a time.
+export function createChatStreamTranslator({ model, includeUsage = false }) {
+  const id = `chatcmpl-${crypto.randomUUID().replace(/-/g, "")}`;
+  const created = Math.floor(Date.now() / 1000);
+  const toolCalls = new Map();
+  let roleSent = false;
+
+  const chunk = (delta, finishReason = null) => {
+    if (!roleSent) {
+      delta = { role: "assistant", ...delta };
+      roleSent = true;
+    }
+    return {
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    };
+  };
+
+  return {
+    push(data) {
+      if (!isObject(data)) return [];
+
+      switch (data.type) {
+        case "response.output_text.delta":
+          return typeof data.delta === "string" && data.delta ? [chunk({ content: data.delta })] : [];
+
+        case "response.output_item.added": {
+          const item = data.item;
+          if (isObject(item) && item.type === "custom_tool_call") {
+            const index = toolCalls.size;
+            toolCalls.set(data.output_index, { index, streamed: false, custom: true });
+            return [chunk({ tool_calls: [{ index, id: item.call_id, type: "custom", custom: { name: item.name, input: "" } }] })];
+          }
+          if (!isObject(item) || item.type !== "function_call") return [];
+          const index = toolCalls.size;
+          toolCalls.set(data.output_index, { index, streamed: false });
+          return [
+            chunk({
+              tool_calls: [
+                {
+                  index,
+                  id: item.call_id,
+                  type: "function",
+                  function: { name: item.name, arguments: "" },
+                },
+              ],
+            }),
+          ];
+        }
+
+        case "response.function_call_arguments.delta": {
+          const call = toolCalls.get(data.output_index);
+          if (!call || typeof data.delta !== "string") return [];
+          call.streamed = true;
+          return [chunk({ tool_calls: [{ index: call.index, function: { arguments: data.delta } }] })];
+        }
+
+        case "response.custom_tool_call_input.delta": {
+          const call = toolCalls.get(data.output_index);
+          if (!call || typeof data.delta !== "string") return [];
+          call.streamed = true;
+          return [chunk({ tool_calls: [{ index: call.index, custom: { input: data.delta } }] })];
+        }
+
+        case "response.output_item.done": {
+          const call = toolCalls.get(data.output_index);
+          if (!call || call.streamed || !isObject(data.item)) return [];
+          if (call.custom) {
+            const customInput = asString(data.item.input);
+            if (!customInput) return [];
+            call.streamed = true;
+            return [chunk({ tool_calls: [{ index: call.index, custom: { input: customInput } }] })];
+          }
+          const args = asString(data.item.arguments);
+          if (!args) return [];
+          call.streamed = true;
+          return [chunk({ tool_calls: [{ index: call.index, function: { arguments: args } }] })];
+        }
+
+        case "response.completed":
+        case "response.incomplete": {
+          const response = isObject(data.response) ? data.response : {};
+          const out = [chunk({}, finishReasonFor(response, toolCalls.size > 0))];
+          if (includeUsage) {
+            out.push({ id, object: "chat.completion.chunk", created, model, choices: [], usage: toChatUsage(response.usage) ?? null });
+          }
+          return out;
+        }
+
+        case "response.failed":
+          return [{ error: toChatError(data.response?.error) }];
+
+        case "error":
+          return [{ error: toChatError(isObject(data.error) ? data.error : data) }];
+
+        default:
+          return [];
+      }
+    },
+  };
+}
+
+// Folds the chunk stream back into a single chat.completion object.
+export function buildChatCompletionFromEvents(events, model) {
+  const translator = createChatStreamTranslator({ model, includeUsage: true });
+  const message = { role: "assistant", content: null };
+  const toolCalls = [];
+  let finishReason = null;
+  let usage;
+  let error = null;
+  let id;
+  let created;
+
+  for (const entry of events) {
+    for (const out of translator.push(entry.data)) {
+      if (out.error) {
+        error = out.error;
+        continue;
+      }
+      id = out.id;
+      created = out.created;
+      if (out.usage) usage = out.usage;
+
+      for (const choice of out.choices) {
+        const delta = choice.delta;
+        if (typeof delta.content === "string") message.content = (message.content || "") + delta.content;
+        for (const call of delta.tool_calls || []) {
+          if (call.type === "custom") {
+            toolCalls[call.index] = { id: call.id, type: "custom", custom: { name: call.custom.name, input: "" } };
+          }
+          const existing = (toolCalls[call.index] ||= {
+            id: call.id,
+            type: "function",
+            function: { name: "", arguments: "" },
+          });
+          if (call.id) existing.id = call.id;
+          if (existing.type === "custom") {
+            existing.custom.input += call.custom?.input || "";
+            continue;
+          }
+          if (call.function?.name) existing.function.name = call.function.name;
+          existing.function.arguments += call.function?.arguments || "";
+        }
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+      }
+    }
+  }
+
+  if (toolCalls.length) message.tool_calls = toolCalls;
+
+  return {
+    error,
+    status: error ? upstreamErrorStatus(error) : undefined,
+    completion: finishReason
+      ? {
+          id,
+          object: "chat.completion",
+          created,
+          model,
+          choices: [{ index: 0, message, finish_reason: finishReason, logprobs: null }],
+          usage,
+        }
+      : null,
+  };
+}
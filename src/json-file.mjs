@@ -0,0 +1,38 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+let writeCount = 0;
+
+export async function readJsonFile(path, fallback) {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+// Write-then-rename so a crash mid-write never leaves a truncated file. Each call gets its own temp file, so
+// concurrent saves of one path cannot rename each other's half-written data.
+export async function writeJsonFileAtomic(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  writeCount += 1;
+  const tmpPath = `${path}.${process.pid}.${writeCount}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await rename(tmpPath, path);
+}
+
+// A JSON document in a file, with the same { description, load, save } shape as the stores in json-store.mjs.
+export function createJsonFileStore(path) {
+  return {
+    description: `file:${path}`,
+    async load() {
+      return readJsonFile(path, null);
+    },
+    async save(data) {
+      await writeJsonFileAtomic(path, data);
+    },
+  };
+}
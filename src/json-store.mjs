@@ -0,0 +1,27 @@
+// One JSON document behind { description, load, save }; load() resolves to null when nothing was saved yet.
+// The file-backed version lives in json-file.mjs.
+
+export function createMemoryJsonStore(initial = null) {
+  let saved = initial;
+  return {
+    description: "memory",
+    async load() {
+      return saved;
+    },
+    async save(data) {
+      saved = structuredClone(data);
+    },
+  };
+}
+
+export function createKvJsonStore(kv, key) {
+  return {
+    description: `kv:${key}`,
+    async load() {
+      return kv.get(key, "json");
+    },
+    async save(data) {
+      await kv.put(key, JSON.stringify(data));
+    },
+  };
+}
@@ -0,0 +1,278 @@
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import { createMemoryJsonStore } from "./json-store.mjs";
+import { logger } from "./logger.mjs";
+import { asString, isObject, isStringArray } from "./utils.mjs";
+
+export const KEY_ROUTES = ["responses", "chat.completions", "messages"];
+
+const SAVE_DELAY_MS = 1_000;
+const log = logger.child({ component: "keys" });
+
+export function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// An empty list allows everything; "prefix*" entries match by prefix.
+export function matchesScope(patterns, value) {
+  if (!Array.isArray(patterns) || patterns.length === 0) return true;
+  if (!value) return false;
+  return patterns.some(
+    (pattern) => pattern === "*" || pattern === value || (pattern.endsWith("*") && value.startsWith(pattern.slice(0, -1))),
+  );
+}
+
+function currentUsage(record) {
+  if (!isObject(record.usage) || record.usage.date !== today()) {
+    record.usage = { date: today(), requests: 0, tokens: 0 };
+  }
+  return record.usage;
+}
+
+function quotaValue(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : null;
+}
+
+function publicView(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    models: record.models,
+    routes: record.routes,
+    quotas: record.quotas,
+    rateLimits: record.rateLimits || {},
+    cache: record.cache ?? null,
+    enabled: record.enabled,
+    createdAt: record.createdAt,
+    revokedAt: record.revokedAt || null,
+    usage: { ...currentUsage(record) },
+  };
+}
+
+// Returns null when the key may call the route, else { status, code, message }.
+export function checkKeyAccess(record, { route, models = [] }) {
+  if (route && !matchesScope(record.routes, route)) {
+    return { status: 403, code: "route_not_allowed", message: `Key "${record.name}" may not call ${route}` };
+  }
+
+  if (models.length && !models.some((model) => matchesScope(record.models, model))) {
+    return { status: 403, code: "model_not_allowed", message: `Key "${record.name}" may not use model ${models[0]}` };
+  }
+
+  const usage = currentUsage(record);
+  const quotas = isObject(record.quotas) ? record.quotas : {};
+  if (quotas.requestsPerDay && usage.requests >= quotas.requestsPerDay) {
+    return { status: 429, code: "daily_request_quota_exceeded", message: `Key "${record.name}" reached its daily request quota` };
+  }
+  if (quotas.tokensPerDay && usage.tokens >= quotas.tokensPerDay) {
+    return { status: 429, code: "daily_token_quota_exceeded", message: `Key "${record.name}" reached its daily token quota` };
+  }
+
+  return null;
+}
+
+function storedKeys(data) {
+  return Array.isArray(data?.keys) ? data.keys.filter((record) => isObject(record) && record.hash) : [];
+}
+
+// Today's counters from a { date, requests, tokens } entry; older entries count as zero.
+function todaysUsage(entry) {
+  return isObject(entry) && entry.date === today()
+    ? { date: entry.date, requests: Number(entry.requests) || 0, tokens: Number(entry.tokens) || 0 }
+    : { date: today(), requests: 0, tokens: 0 };
+}
+
+// Key definitions live in `storage` ({ keys: [...] }) and daily usage in `usageStorage` ({ usage: { [id]:
+// counters } }), so the frequent usage writes never touch the key list. Several processes or Worker isolates
+// may share both: definitions are re-read at most `maxAgeMs` apart (see refresh()) and before every change,
+// and usage is merged into the stored counters by id.
+export async function createKeyRegistry(storage, { usageStorage = createMemoryJsonStore(), maxAgeMs = Infinity } = {}) {
+  let keys = [];
+  let byHash = new Map();
+  let loadedAt = 0;
+  // Counters as last read from usageStorage, and what this process added since.
+  let storedUsage = {};
+  const pending = new Map();
+  let saveTimer = null;
+
+  const loadKeys = async () => {
+    const data = await storage.load();
+    keys = storedKeys(data);
+    byHash = new Map(keys.map((record) => [record.hash, record]));
+    loadedAt = Date.now();
+    return data;
+  };
+
+  const loadUsage = async () => {
+    const data = await usageStorage.load();
+    storedUsage = isObject(data?.usage) ? data.usage : {};
+  };
+
+  const usageOf = (id) => {
+    const usage = todaysUsage(storedUsage[id]);
+    const added = pending.get(id);
+    if (added && added.date === usage.date) {
+      usage.requests += added.requests;
+      usage.tokens += added.tokens;
+    }
+    return usage;
+  };
+
+  // Definitions only; counters are stored apart.
+  const saveKeys = () => storage.save({ keys: keys.map(({ usage, ...record }) => record) });
+
+  const saveUsage = async () => {
+    saveTimer = null;
+    if (!pending.size) return;
+    const added = new Map(pending);
+    pending.clear();
+    try {
+      await loadUsage();
+      for (const [id, counters] of added) {
+        const usage = todaysUsage(storedUsage[id]);
+        if (usage.date !== counters.date) continue;
+        storedUsage[id] = { ...usage, requests: usage.requests + counters.requests, tokens: usage.tokens + counters.tokens };
+      }
+      await usageStorage.save({ usage: storedUsage });
+    } catch (error) {
+      log.warn("failed to save key usage", { store: usageStorage.description, error });
+    }
+  };
+
+  // Usage counters change on every request, so their writes are batched.
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveUsage, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  };
+
+  const addUsage = (record, field, amount) => {
+    const counters = pending.get(record.id);
+    const entry = counters && counters.date === today() ? counters : { date: today(), requests: 0, tokens: 0 };
+    entry[field] += amount;
+    pending.set(record.id, entry);
+    scheduleSave();
+  };
+
+  const data = await loadKeys();
+  await loadUsage();
+  // Key files written before usage was stored apart keep their counters on the records.
+  if (!Object.keys(storedUsage).length) {
+    for (const record of storedKeys(data)) {
+      if (isObject(record.usage)) storedUsage[record.id] = record.usage;
+    }
+  }
+
+  return {
+    description: storage.description,
+
+    get size() {
+      return keys.length;
+    },
+
+    // Re-reads the definitions once they are older than maxAgeMs, so a key created or revoked by another
+    // process or isolate takes effect here too.
+    async refresh() {
+      if (Date.now() - loadedAt < maxAgeMs) return;
+      try {
+        await loadKeys();
+        await loadUsage();
+      } catch (error) {
+        log.warn("failed to refresh keys", { store: storage.description, error });
+      }
+    },
+
+    find(secret) {
+      const record = secret ? byHash.get(hashKey(secret)) : undefined;
+      if (record) record.usage = usageOf(record.id);
+      return record;
+    },
+
+    list() {
+      return keys.map((record) => publicView({ ...record, usage: usageOf(record.id) }));
+    },
+
+    async create(input) {
+      const source = isObject(input) ? input : {};
+      const name = asString(source.name)?.trim();
+      if (!name) throw new Error("name is required");
+      await loadKeys();
+      if (keys.some((record) => record.name === name && record.enabled)) {
+        throw new Error(`an enabled key named "${name}" already exists`);
+      }
+
+      const routes = isStringArray(source.routes) ? source.routes : [];
+      const unknownRoute = routes.find((route) => !route.endsWith("*") && !KEY_ROUTES.includes(route));
+      if (unknownRoute) throw new Error(`unknown route "${unknownRoute}" (expected one of ${KEY_ROUTES.join(", ")})`);
+
+      const key = `sk-proxy-${randomBytes(24).toString("base64url")}`;
+      const record = {
+        id: randomUUID(),
+        name,
+        hash: hashKey(key),
+        prefix: key.slice(0, 14),
+        models: isStringArray(source.models) ? source.models.map((model) => model.toLowerCase()) : [],
+        routes,
+        quotas: {
+          requestsPerDay: quotaValue(source.requestsPerDay ?? source.quotas?.requestsPerDay),
+          tokensPerDay: quotaValue(source.tokensPerDay ?? source.quotas?.tokensPerDay),
+        },
+        rateLimits: {
+          requestsPerMinute: quotaValue(source.requestsPerMinute ?? source.rateLimits?.requestsPerMinute),
+          tokensPerMinute: quotaValue(source.tokensPerMinute ?? source.rateLimits?.tokensPerMinute),
+        },
+        // null follows RESPONSE_CACHE_DEFAULT.
+        cache: typeof source.cache === "boolean" ? source.cache : null,
+        enabled: source.enabled !== false,
+        createdAt: new Date().toISOString(),
+      };
+
+      keys.push(record);
+      byHash.set(record.hash, record);
+      await saveKeys();
+      return { key, record: publicView({ ...record, usage: usageOf(record.id) }) };
+    },
+
+    // `id` is a key id or the name of an enabled key; a revoked key's name may since belong to a new key.
+    async revoke(id) {
+      await loadKeys();
+      const record =
+        keys.find((candidate) => candidate.id === id) ||
+        keys.find((candidate) => candidate.name === id && candidate.enabled !== false);
+      if (!record) return null;
+      record.enabled = false;
+      record.revokedAt = record.revokedAt || new Date().toISOString();
+      await saveKeys();
+      return publicView({ ...record, usage: usageOf(record.id) });
+    },
+
+    // Picks up edits made to the storage by hand.
+    async reload() {
+      await loadKeys();
+      await loadUsage();
+      return keys.length;
+    },
+
+    // Writes batched usage counters now, e.g. before the process exits.
+    async flush() {
+      if (!saveTimer) return;
+      clearTimeout(saveTimer);
+      await saveUsage();
+    },
+
+    recordRequest(record) {
+      if (!byHash.has(record.hash)) return;
+      addUsage(record, "requests", 1);
+    },
+
+    recordTokens(record, tokens) {
+      if (!byHash.has(record.hash) || !(tokens > 0)) return;
+      addUsage(record, "tokens", tokens);
+    },
+  };
+}
@@ -0,0 +1,79 @@
+import { isObject } from "./utils.mjs";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Headers that carry credentials, including every header the proxy accepts a key in. The recorder redacts these too.
+export const SENSITIVE_HEADERS = ["authorization", "proxy-authorization", "x-api-key", "api-key", "cookie", "set-cookie"];
+
+const DEFAULT_REDACTED_FIELDS = [
+  ...SENSITIVE_HEADERS,
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "accesstoken",
+  "refreshtoken",
+  "idtoken",
+  "secret",
+  "password",
+];
+
+// Credentials that can end up inside free-form strings such as upstream error bodies.
+const SECRET_PATTERNS = [
+  /sk-proxy-[A-Za-z0-9_-]+/g,
+  /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  /\bBearer\s+[^\s"',]+/gi,
+];
+
+const MAX_DEPTH = 6;
+
+const settings = {
+  level: "info",
+  redactedFields: new Set(DEFAULT_REDACTED_FIELDS),
+};
+
+// Extra redacted field names add to the defaults; they never replace them.
+export function configureLogger({ level, redact = [] } = {}) {
+  if (level !== undefined) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`invalid log level "${level}" (expected ${LOG_LEVELS.join(", ")})`);
+    settings.level = level;
+  }
+  settings.redactedFields = new Set([...DEFAULT_REDACTED_FIELDS, ...redact.map((field) => field.toLowerCase())]);
+}
+
+function scrubString(value) {
+  return SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, "[redacted]"), value);
+}
+
+function scrub(value, depth = 0) {
+  if (typeof value === "string") return scrubString(value);
+  if (value instanceof Error) return scrubString(String(value));
+  if (depth >= MAX_DEPTH || value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((item) => scrub(item, depth + 1));
+  if (!isObject(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      settings.redactedFields.has(key.toLowerCase()) ? "[redacted]" : scrub(item, depth + 1),
+    ]),
+  );
+}
+
+function emit(level, bound, msg, fields) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+  const line = JSON.stringify(scrub({ time: new Date().toISOString(), level, msg, ...bound, ...fields }));
+  if (level === "warn" || level === "error") console.warn(line);
+  else console.log(line);
+}
+
+function createLogger(bound) {
+  return {
+    debug: (msg, fields) => emit("debug", bound, msg, fields),
+    info: (msg, fields) => emit("info", bound, msg, fields),
+    warn: (msg, fields) => emit("warn", bound, msg, fields),
+    error: (msg, fields) => emit("error", bound, msg, fields),
+    child: (fields) => createLogger({ ...bound, ...fields }),
+  };
+}
+
+// One JSON object per line: { time, level, msg, ...fields }.
+export const logger = createLogger({});
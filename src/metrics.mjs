@@ -0,0 +1,113 @@
+// Minimal Prometheus text-format registry; the proxy has no runtime dependencies.
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+export function createMetricsRegistry(prefix = "") {
+  const metrics = [];
+
+  const register = (type, name, help, render) => {
+    metrics.push({ type, name: `${prefix}${name}`, help, render });
+  };
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      register("counter", name, help, (fullName) =>
+        [...series.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatNumber(value)}`),
+      );
+      return {
+        inc(labels, value = 1) {
+          const picked = pickLabels(labelNames, labels);
+          const key = JSON.stringify(picked);
+          const entry = series.get(key) || { labels: picked, value: 0 };
+          entry.value += value;
+          series.set(key, entry);
+        },
+      };
+    },
+
+    // `collect` lets a gauge be computed at scrape time instead of being kept in sync.
+    gauge(name, help, labelNames = [], collect) {
+      const series = new Map();
+      register("gauge", name, help, (fullName) => {
+        const samples = collect
+          ? collect().map(({ labels, value }) => ({ labels: pickLabels(labelNames, labels), value }))
+          : [...series.values()];
+        return samples.map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatNumber(value)}`);
+      });
+      const update = (labels, fn) => {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = series.get(key) || { labels: picked, value: 0 };
+        entry.value = fn(entry.value);
+        series.set(key, entry);
+      };
+      return {
+        set: (labels, value) => update(labels, () => value),
+        inc: (labels, value = 1) => update(labels, (current) => current + value),
+        dec: (labels, value = 1) => update(labels, (current) => current - value),
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 5, 10]) {
+      const sorted = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+      register("histogram", name, help, (fullName) => {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          sorted.forEach((bound, index) => {
+            lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`);
+          });
+          lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+          lines.push(`${fullName}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+          lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      });
+      return {
+        observe(labels, value) {
+          const picked = pickLabels(labelNames, labels);
+          const key = JSON.stringify(picked);
+          let entry = series.get(key);
+          if (!entry) {
+            entry = { labels: picked, counts: sorted.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+          }
+          sorted.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+          });
+          entry.sum += value;
+          entry.count += 1;
+        },
+      };
+    },
+
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...metric.render(metric.name));
+      }
+      return `${lines.join("\n")}\n`;
+    },
+  };
+}
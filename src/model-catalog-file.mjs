@@ -0,0 +1,34 @@
+import { watchFile } from "node:fs";
+import { readJsonFile } from "./json-file.mjs";
+import { logger } from "./logger.mjs";
+import { createModelCatalog } from "./model-catalog.mjs";
+
+const WATCH_INTERVAL_MS = 2_000;
+const log = logger.child({ component: "models" });
+
+// Keeps `current` in sync with the file; a missing file falls back to the built-in catalog.
+export async function watchModelCatalog(path) {
+  const load = async () => createModelCatalog((await readJsonFile(path, null)) ?? undefined);
+
+  const holder = {
+    path,
+    current: await load(),
+    // Also used by POST /admin/reload. Throws, keeping the previous catalog, when the file is invalid.
+    async reload() {
+      holder.current = await load();
+    },
+  };
+
+  // Polling survives editors and config managers that replace the file instead of writing in place.
+  watchFile(path, { interval: WATCH_INTERVAL_MS, persistent: false }, async (stat, previous) => {
+    if (stat.mtimeMs === previous.mtimeMs && stat.size === previous.size) return;
+    try {
+      await holder.reload();
+      log.info("reloaded model catalog", { path, visibleModels: holder.current.list().data.length });
+    } catch (error) {
+      log.warn("failed to reload model catalog, keeping the previous one", { path, error });
+    }
+  });
+
+  return holder;
+}
@@ -0,0 +1,103 @@
+import { asString, isObject, isStringArray } from "./utils.mjs";
+
+const FALLBACK_CONFIG = { defaultModel: "gpt-5.3-codex", models: [{ id: "gpt-5.3-codex" }] };
+const DEFAULT_REASONING_EFFORTS = ["none", "minimal", "low", "medium", "high", "xhigh"];
+const OVERRIDE_FIELDS = ["reasoningEffort", "verbosity", "instructions"];
+
+function normalizeId(value) {
+  const raw = asString(value)?.trim().toLowerCase();
+  // Clients like LiteLLM send "openai/<model>".
+  return raw?.includes("/") ? raw.split("/").pop() : raw;
+}
+
+function pickOverrides(entry) {
+  const overrides = {};
+  for (const field of OVERRIDE_FIELDS) {
+    const value = asString(entry[field])?.trim();
+    if (value) overrides[field] = field === "instructions" ? value : value.toLowerCase();
+  }
+  return overrides;
+}
+
+function entriesFrom(list, label) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`"${label}" must be an array`);
+  return list.map((entry, index) => {
+    const id = isObject(entry) ? normalizeId(entry.id) : undefined;
+    if (!id) throw new Error(`${label}[${index}] needs an "id"`);
+    return entry;
+  });
+}
+
+// Throws on malformed config so a bad edit never replaces a working catalog.
+export function createModelCatalog(config = FALLBACK_CONFIG) {
+  if (!isObject(config)) throw new Error("model config must be a JSON object");
+
+  const efforts = isStringArray(config.reasoningEfforts)
+    ? config.reasoningEfforts.map((effort) => effort.toLowerCase())
+    : DEFAULT_REASONING_EFFORTS;
+  const defaultReasoningEffort = asString(config.defaultReasoningEffort)?.toLowerCase() || "high";
+  const models = new Map();
+  const aliases = new Map();
+
+  for (const entry of entriesFrom(config.models, "models")) {
+    models.set(normalizeId(entry.id), {
+      id: normalizeId(entry.id),
+      model: normalizeId(entry.id),
+      disabled: entry.disabled === true,
+      hidden: entry.hidden === true,
+      ...pickOverrides(entry),
+    });
+  }
+
+  for (const entry of entriesFrom(config.aliases, "aliases")) {
+    const target = normalizeId(entry.model);
+    if (!target) throw new Error(`alias "${entry.id}" needs a "model"`);
+    const base = models.get(target) || { model: target, disabled: false };
+    aliases.set(normalizeId(entry.id), {
+      ...base,
+      id: normalizeId(entry.id),
+      disabled: base.disabled || entry.disabled === true,
+      hidden: entry.hidden === true,
+      ...pickOverrides(entry),
+    });
+  }
+
+  const defaultModel = normalizeId(config.defaultModel) || models.keys().next().value || FALLBACK_CONFIG.defaultModel;
+
+  const lookup = (id) => aliases.get(id) || models.get(id);
+  const upstreamModels = new Set([...models.keys(), ...[...aliases.values()].map((entry) => entry.model)]);
+
+  // "<model>-<effort>", "<model>:<effort>" and "<model>-<effort>-reasoning" work for every known model.
+  const lookupWithEffort = (id) => {
+    const match = /^(.+?)[-:]([a-z]+)(?:-reasoning)?$/.exec(id);
+    if (!match || !efforts.includes(match[2])) return undefined;
+    const entry = lookup(match[1]);
+    return entry ? { ...entry, id, reasoningEffort: match[2] } : undefined;
+  };
+
+  return {
+    defaultModel,
+    defaultReasoningEffort,
+
+    // Unknown models pass through unchanged so new upstream models work before the config knows them.
+    resolve(requested) {
+      const id = normalizeId(requested) || defaultModel;
+      const entry = lookup(id) || lookupWithEffort(id) || { id, model: id, disabled: false };
+      return { reasoningEffort: defaultReasoningEffort, ...entry };
+    },
+
+    // Whether an upstream model name comes from the catalog rather than from a client.
+    isKnown(model) {
+      return upstreamModels.has(model);
+    },
+
+    list() {
+      const visible = [...aliases.values(), ...models.values()].filter((entry) => !entry.hidden && !entry.disabled);
+      return {
+        object: "list",
+        data: visible.map((entry) => ({ id: entry.id, object: "model", owned_by: "openai" })),
+      };
+    },
+  };
+}
@@ -0,0 +1,105 @@
+import { Readable } from "node:stream";
+import { logger } from "./logger.mjs";
+
+function toHeaders(incoming) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(incoming)) {
+    if (Array.isArray(value)) for (const item of value) headers.append(name, item);
+    else if (value !== undefined) headers.set(name, value);
+  }
+  return headers;
+}
+
+// The Fetch API refuses these methods outright.
+const FORBIDDEN_METHODS = new Set(["CONNECT", "TRACE", "TRACK"]);
+
+function sendText(res, status, text) {
+  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8", Connection: "close" });
+  res.end(text);
+}
+
+// Resolves once `res` can take more data, or has closed.
+function writable(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+}
+
+// Adapts a Fetch handler (`(request) => Response`) to a node:http request listener. The request's signal
+// aborts and the response body is cancelled when the client disconnects before the response has been sent.
+export function toNodeListener(handler) {
+  return async (req, res) => {
+    const abort = new AbortController();
+    res.once("close", () => {
+      if (!res.writableFinished) abort.abort();
+    });
+
+    // Anything the Fetch API cannot represent is answered here; a throw would be an unhandled rejection.
+    let url;
+    try {
+      url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
+    } catch {
+      sendText(res, 400, "Bad request");
+      return;
+    }
+    if (FORBIDDEN_METHODS.has(req.method?.toUpperCase())) {
+      sendText(res, 405, "Method not allowed");
+      return;
+    }
+
+    let response;
+    try {
+      const hasBody = req.method !== "GET" && req.method !== "HEAD";
+      let request;
+      try {
+        request = new Request(url, {
+          method: req.method,
+          headers: toHeaders(req.headers),
+          body: hasBody ? Readable.toWeb(req) : undefined,
+          duplex: "half",
+          signal: abort.signal,
+        });
+      } catch (error) {
+        logger.warn("unsupported request", { method: req.method, path: req.url, error });
+        sendText(res, 400, "Bad request");
+        return;
+      }
+      response = await handler(request);
+    } catch (error) {
+      logger.error("unhandled error", { path: req.url, error });
+      response = new Response(JSON.stringify({ error: "internal_error", message: String(error) }), {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    const headers = {};
+    for (const [name, value] of response.headers) headers[name] = value;
+    res.writeHead(response.status, headers);
+    if (!response.body) {
+      res.end();
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const cancel = () => reader.cancel().catch(() => {});
+    if (abort.signal.aborted) cancel();
+    else abort.signal.addEventListener("abort", cancel, { once: true });
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done || res.destroyed) break;
+        if (!res.write(value)) await writable(res);
+      }
+      res.end();
+    } catch {
+      res.destroy();
+    }
+  };
+}
@@ -0,0 +1,33 @@
+import { watchFile } from "node:fs";
+import { readJsonFile } from "./json-file.mjs";
+import { logger } from "./logger.mjs";
+import { createPolicy } from "./policy.mjs";
+
+const WATCH_INTERVAL_MS = 2_000;
+const log = logger.child({ component: "policy" });
+
+// Keeps `current` in sync with the file; a missing file means no policy.
+export async function watchPolicy(path) {
+  const load = async () => createPolicy((await readJsonFile(path, null)) ?? undefined);
+
+  const holder = {
+    path,
+    current: await load(),
+    // Also used by POST /admin/reload. Throws, keeping the previous policy, when the file is invalid.
+    async reload() {
+      holder.current = await load();
+    },
+  };
+
+  watchFile(path, { interval: WATCH_INTERVAL_MS, persistent: false }, async (stat, previous) => {
+    if (stat.mtimeMs === previous.mtimeMs && stat.size === previous.size) return;
+    try {
+      await holder.reload();
+      log.info("reloaded policy", { path });
+    } catch (error) {
+      log.warn("failed to reload policy, keeping the previous one", { path, error });
+    }
+  });
+
+  return holder;
+}
@@ -0,0 +1,163 @@
+import { matchesScope } from "./key-registry.mjs";
+import { asString, isObject, isStringArray } from "./utils.mjs";
+
+// Built-in secret detectors used with "redactSecrets": true. `.env`-style lines come before the token
+// patterns so `OPENAI_API_KEY=sk-...` is counted once, and they keep the variable name.
+const SECRET_PATTERNS = [
+  {
+    name: "private_key",
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    name: "env_secret",
+    pattern:
+      /^(\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?)[A-Za-z0-9_]*\s*[=:]\s*)\S.*$/gim,
+    replacement: "$1[REDACTED:env_secret]",
+  },
+  { name: "anthropic_key", pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: "openai_key", pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { name: "aws_access_key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: "github_token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { name: "slack_token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: "google_api_key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+];
+
+// Input item fields that carry free text besides message content parts.
+const TEXT_FIELDS = ["arguments", "output", "input"];
+
+function compilePattern(entry, label, { global }) {
+  if (!isObject(entry) || !asString(entry.pattern)) throw new Error(`${label} needs a "pattern"`);
+  const flags = (asString(entry.flags) || "").replace(/[gy]/g, "") + (global ? "g" : "");
+  try {
+    return new RegExp(entry.pattern, flags);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+}
+
+function blockList(list, label) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`"${label}" must be an array`);
+  return list.map((entry, index) => ({
+    name: asString(entry?.name) || `${label}[${index}]`,
+    pattern: compilePattern(entry, `${label}[${index}]`, { global: false }),
+    message: asString(entry?.message),
+  }));
+}
+
+function redactList(list) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error('"redact" must be an array');
+  return list.map((entry, index) => {
+    const name = asString(entry?.name) || `redact[${index}]`;
+    return {
+      name,
+      pattern: compilePattern(entry, `redact[${index}]`, { global: true }),
+      replacement: asString(entry.replacement) ?? `[REDACTED:${name}]`,
+    };
+  });
+}
+
+function scopeList(value, label) {
+  if (value === undefined) return [];
+  if (!isStringArray(value)) throw new Error(`${label} must be an array of strings`);
+  return value;
+}
+
+function optionalText(value, label) {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string") throw new Error(`${label} must be a string`);
+  return value.trim() || undefined;
+}
+
+// Calls `fn` on every piece of free text in Responses input items and returns the rewritten items.
+function mapInputText(input, fn) {
+  return input.map((item) => {
+    if (!isObject(item)) return item;
+    const next = { ...item };
+    for (const field of TEXT_FIELDS) {
+      if (typeof next[field] === "string") next[field] = fn(next[field]);
+    }
+    if (Array.isArray(next.content)) {
+      next.content = next.content.map((part) =>
+        isObject(part) && typeof part.text === "string" ? { ...part, text: fn(part.text) } : part,
+      );
+    }
+    return next;
+  });
+}
+
+// Builds the request policy from its JSON config (see config/policy.example.json). Throws on malformed
+// config so a bad edit never replaces a working policy; no config means no policy.
+export function createPolicy(config = {}) {
+  if (!isObject(config)) throw new Error("policy config must be a JSON object");
+
+  const secrets = SECRET_PATTERNS.map((entry) => ({ replacement: `[REDACTED:${entry.name}]`, ...entry }));
+  const redactions = [...(config.redactSecrets === true ? secrets : []), ...redactList(config.redact)];
+  const block = blockList(config.block, "block");
+  if (config.rules !== undefined && !Array.isArray(config.rules)) throw new Error('"rules" must be an array');
+  const rules = (config.rules || []).map((rule, index) => {
+    const label = `rules[${index}]`;
+    if (!isObject(rule)) throw new Error(`${label} must be an object`);
+    return {
+      name: asString(rule.name) || label,
+      keys: scopeList(rule.keys, `${label}.keys`),
+      models: scopeList(rule.models, `${label}.models`).map((model) => model.toLowerCase()),
+      routes: scopeList(rule.routes, `${label}.routes`),
+      prependInstructions: optionalText(rule.prependInstructions, `${label}.prependInstructions`),
+      appendInstructions: optionalText(rule.appendInstructions, `${label}.appendInstructions`),
+      block: blockList(rule.block, `${label}.block`),
+    };
+  });
+
+  const redact = (text, counts) => {
+    let result = text;
+    for (const { name, pattern, replacement } of redactions) {
+      const found = result.match(pattern)?.length;
+      if (!found) continue;
+      counts[name] = (counts[name] || 0) + found;
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  };
+
+  return {
+    defaultInstructions: optionalText(config.defaultInstructions, "defaultInstructions"),
+
+    // Returns { body, blocked, redactions }. `blocked` is { rule, message } when a block pattern matched the
+    // client's text; `redactions` counts replacements by pattern name. `body` is a new upstream body.
+    apply(body, { key, route, model }) {
+      const matching = rules.filter(
+        (rule) => matchesScope(rule.keys, key) && matchesScope(rule.models, model) && matchesScope(rule.routes, route),
+      );
+
+      const texts = [];
+      mapInputText(body.input, (text) => {
+        texts.push(text);
+        return text;
+      });
+      if (typeof body.instructions === "string") texts.push(body.instructions);
+      for (const entry of [...block, ...matching.flatMap((rule) => rule.block)]) {
+        if (texts.some((text) => entry.pattern.test(text))) {
+          return {
+            body,
+            blocked: { rule: entry.name, message: entry.message || `Request blocked by policy rule "${entry.name}"` },
+            redactions: {},
+          };
+        }
+      }
+
+      const counts = {};
+      const input = redactions.length ? mapInputText(body.input, (text) => redact(text, counts)) : body.input;
+      const instructions = [
+        ...matching.map((rule) => rule.prependInstructions),
+        typeof body.instructions === "string" && redactions.length ? redact(body.instructions, counts) : body.instructions,
+        ...matching.map((rule) => rule.appendInstructions),
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+
+      return { body: { ...body, instructions, input }, blocked: null, redactions: counts };
+    },
+  };
+}
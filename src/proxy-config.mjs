@@ -0,0 +1,92 @@
+import { SELECTION_STRATEGIES } from "./account-pool.mjs";
+import { DEFAULT_FILE_TYPES, DEFAULT_IMAGE_TYPES } from "./attachments.mjs";
+import { LOG_LEVELS } from "./logger.mjs";
+
+function listEnv(value, fallback) {
+  const items = (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+  return items.length ? items : fallback;
+}
+
+// Thrown for a missing or invalid setting; `fields` go on the log line the entry point writes.
+export function configError(message, fields) {
+  return Object.assign(new Error(message), { fields });
+}
+
+// The settings every runtime shares, read from an env record (process.env or the Worker env). Settings
+// that only make sense on one runtime, such as file paths, are read by that runtime's entry point.
+export function readProxyConfig(env) {
+  const number = (name, fallback) => Number(env[name] || fallback);
+
+  if (!env.PROXY_SECRET) throw configError("missing required env var", { name: "PROXY_SECRET" });
+
+  const logLevel = env.LOG_LEVEL || "info";
+  if (!LOG_LEVELS.includes(logLevel)) {
+    throw configError("invalid LOG_LEVEL", { value: logLevel, expected: LOG_LEVELS });
+  }
+
+  const accountSelection = env.ACCOUNT_SELECTION || "round-robin";
+  if (!SELECTION_STRATEGIES.includes(accountSelection)) {
+    throw configError("invalid ACCOUNT_SELECTION", { value: accountSelection, expected: SELECTION_STRATEGIES });
+  }
+
+  return {
+    // Both can point at scripts/replay-server.js (recorded traffic) or scripts/mock-upstream.js (scripted replies).
+    codexResponsesUrl: env.CODEX_RESPONSES_API_URL || "https://chatgpt.com/backend-api/codex/responses",
+    oauthTokenUrl: env.OPENAI_OAUTH_TOKEN_URL || "https://auth.openai.com/oauth/token",
+    oauthClientId: env.OPENAI_OAUTH_CLIENT_ID || "app_EMoamEEZ73f0CkXaXp7hrann",
+    proxySecret: env.PROXY_SECRET,
+    chatgptAccountId: env.CHATGPT_ACCOUNT_ID || undefined,
+    accessToken: env.OPENAI_ACCESS_TOKEN || "",
+    refreshToken: env.OPENAI_REFRESH_TOKEN || "",
+    accountSelection,
+    accountMaxConcurrentStreams: number("ACCOUNT_MAX_CONCURRENT_STREAMS", "0"),
+    adminSecret: env.ADMIN_SECRET || "",
+    adminRecentRequests: number("ADMIN_RECENT_REQUESTS", "100"),
+    metricsSecret: env.METRICS_SECRET || "",
+    tokenRefresh: {
+      aheadMs: number("TOKEN_REFRESH_AHEAD_MS", "300000"),
+      jitterMs: number("TOKEN_REFRESH_JITTER_MS", "60000"),
+      retryBaseMs: number("TOKEN_REFRESH_RETRY_BASE_MS", "5000"),
+      retryMaxMs: number("TOKEN_REFRESH_RETRY_MAX_MS", "300000"),
+    },
+    tokenAlertWebhookUrl: env.TOKEN_ALERT_WEBHOOK_URL || "",
+    rateLimit: {
+      requestsPerMinute: number("RATE_LIMIT_RPM", "0"),
+      tokensPerMinute: number("RATE_LIMIT_TPM", "0"),
+      maxWaitMs: number("RATE_LIMIT_MAX_WAIT_MS", "0"),
+    },
+    upstreamRetry: {
+      maxRetries: number("UPSTREAM_MAX_RETRIES", "2"),
+      baseDelayMs: number("UPSTREAM_RETRY_BASE_MS", "500"),
+      maxDelayMs: number("UPSTREAM_RETRY_MAX_MS", "8000"),
+    },
+    sseHeartbeatMs: number("SSE_HEARTBEAT_MS", "15000"),
+    maxBodyMb: number("MAX_BODY_MB", "2"),
+    // Model routes carry base64 images and file attachments, so their bodies may be much larger.
+    bodyLimitsMb: {
+      responses: number("MAX_BODY_MB_RESPONSES", "25"),
+      "chat.completions": number("MAX_BODY_MB_CHAT_COMPLETIONS", "25"),
+      messages: number("MAX_BODY_MB_MESSAGES", "25"),
+    },
+    attachments: {
+      maxImageBytes: number("ATTACHMENT_MAX_IMAGE_MB", "10") * 1024 * 1024,
+      maxFileBytes: number("ATTACHMENT_MAX_FILE_MB", "1") * 1024 * 1024,
+      imageTypes: listEnv(env.ATTACHMENT_IMAGE_TYPES, DEFAULT_IMAGE_TYPES),
+      fileTypes: listEnv(env.ATTACHMENT_FILE_TYPES, DEFAULT_FILE_TYPES),
+      fetchRemote: env.ATTACHMENT_FETCH_REMOTE === "true",
+      fetchTimeoutMs: number("ATTACHMENT_FETCH_TIMEOUT_MS", "10000"),
+    },
+    responseStore: {
+      maxEntries: number("RESPONSE_STORE_MAX_ENTRIES", "1000"),
+      ttlMs: number("RESPONSE_STORE_TTL_HOURS", "720") * 3600_000,
+    },
+    responseCache: {
+      ttlMs: number("RESPONSE_CACHE_TTL_SECONDS", "0") * 1000,
+      maxEntries: number("RESPONSE_CACHE_MAX_ENTRIES", "500"),
+      maxBytes: number("RESPONSE_CACHE_MAX_MB", "50") * 1024 * 1024,
+      default: env.RESPONSE_CACHE_DEFAULT === "true",
+    },
+    logLevel,
+    logRedact: listEnv(env.LOG_REDACT, []),
+  };
+}
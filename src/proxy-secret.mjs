@@ -0,0 +1,94 @@
+import { randomBytes } from "node:crypto";
+import { hashKey } from "./key-registry.mjs";
+import { logger } from "./logger.mjs";
+import { isObject } from "./utils.mjs";
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_GRACE_SECONDS = 30 * 24 * 3600;
+const log = logger.child({ component: "auth" });
+
+// The master key: PROXY_SECRET until it is rotated through the admin API. A rotation is kept in `storage` as
+// hashes ({ envHash, currentHash, previousHash, previousValidUntil, rotatedAt }) and only applies while the
+// env still holds the secret it was rotated from, so editing PROXY_SECRET by hand always wins. When several
+// instances share `storage`, refresh() re-reads it once the state is `maxAgeMs` old.
+export async function createProxySecret(envSecret, storage, { maxAgeMs = Infinity } = {}) {
+  const envHash = hashKey(envSecret);
+  const initial = { currentHash: envHash, previousHash: null, previousValidUntil: 0, rotatedAt: null };
+  let state = initial;
+  let loadedAt = 0;
+  let warnedEnvChange = false;
+
+  const load = async () => {
+    let stored = null;
+    try {
+      stored = await storage.load();
+    } catch (error) {
+      log.warn("failed to load the rotated proxy secret", { store: storage.description, error });
+      return;
+    }
+    loadedAt = Date.now();
+    if (!isObject(stored) || typeof stored.currentHash !== "string") {
+      state = initial;
+    } else if (stored.envHash === envHash) {
+      state = { ...initial, ...stored };
+    } else {
+      state = initial;
+      if (!warnedEnvChange) log.info("PROXY_SECRET changed since the last rotation, using it", { store: storage.description });
+      warnedEnvChange = true;
+    }
+  };
+
+  await load();
+
+  return {
+    // Picks up a rotation made by another instance.
+    async refresh() {
+      if (Date.now() - loadedAt >= maxAgeMs) await load();
+    },
+
+    // "current", "previous" while the grace period lasts, or null.
+    match(secret) {
+      if (!secret) return null;
+      const hash = hashKey(secret);
+      if (hash === state.currentHash) return "current";
+      if (hash === state.previousHash && Date.now() < state.previousValidUntil) return "previous";
+      return null;
+    },
+
+    // Makes `secret` (or a generated one) the master key; the old one keeps working for `graceSeconds`.
+    // Returns { secret, generated, previousValidUntil }.
+    async rotate({ secret, graceSeconds }) {
+      const generated = secret === undefined;
+      const next = generated ? `sk-proxy-master-${randomBytes(24).toString("base64url")}` : secret;
+      if (typeof next !== "string" || next.length < MIN_SECRET_LENGTH) {
+        throw new Error(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+      }
+      if (!Number.isFinite(graceSeconds) || graceSeconds < 0 || graceSeconds > MAX_GRACE_SECONDS) {
+        throw new Error(`graceSeconds must be between 0 and ${MAX_GRACE_SECONDS}`);
+      }
+      const nextHash = hashKey(next);
+      if (nextHash === state.currentHash) throw new Error("secret is already the current proxy secret");
+
+      const rotated = {
+        envHash,
+        currentHash: nextHash,
+        previousHash: state.currentHash,
+        previousValidUntil: Date.now() + graceSeconds * 1000,
+        rotatedAt: new Date().toISOString(),
+      };
+      await storage.save(rotated);
+      state = rotated;
+      return { secret: next, generated, previousValidUntil: new Date(rotated.previousValidUntil).toISOString() };
+    },
+
+    status() {
+      const graceActive = Boolean(state.previousHash) && Date.now() < state.previousValidUntil;
+      return {
+        source: state.currentHash === envHash ? "env" : "rotated",
+        rotatedAt: state.rotatedAt,
+        previousValidUntil: graceActive ? new Date(state.previousValidUntil).toISOString() : null,
+        store: storage.description,
+      };
+    },
+  };
+}
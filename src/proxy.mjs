@@ -0,0 +1,1997 @@
+import { createAccountPool, usageLimitRetryMs } from "./account-pool.mjs";
+import {
+  anthropicError,
+  anthropicErrorFromUpstream,
+  anthropicRequestToResponsesBody,
+  buildAnthropicMessageFromEvents,
+  createAnthropicStreamTranslator,
+} from "./anthropic-messages.mjs";
+import {
+  buildChatCompletionFromEvents,
+  chatErrorFromUpstream,
+  chatMessagesToInput,
+  chatRequestToResponsesBody,
+  createChatStreamTranslator,
+} from "./chat-completions.mjs";
+import { AttachmentError, createAttachmentResolver } from "./attachments.mjs";
+import { createMemoryJsonStore } from "./json-store.mjs";
+import { checkKeyAccess, createKeyRegistry, hashKey, KEY_ROUTES } from "./key-registry.mjs";
+import { configureLogger, logger } from "./logger.mjs";
+import { createMetricsRegistry } from "./metrics.mjs";
+import { createModelCatalog } from "./model-catalog.mjs";
+import { createPolicy } from "./policy.mjs";
+import { configError } from "./proxy-config.mjs";
+import { createProxySecret } from "./proxy-secret.mjs";
+import { createRateLimiter } from "./rate-limit.mjs";
+import { buildResponseFromEvents, createResponseAssembler } from "./responses-assembler.mjs";
+import { createResponseCache, responseCacheKey } from "./response-cache.mjs";
+import { conversationHistory, createResponseStore } from "./response-store.mjs";
+import { createRetryPolicy, isRetryableStatus, parseRetryAfterMs, transcriptFailure, withFirstChunk } from "./retry.mjs";
+import { formatSSE, parseSSE, readSSEEvents, SSE_HEARTBEAT } from "./sse.mjs";
+import { createTokenRefresher } from "./token-refresher.mjs";
+import { createTrafficMonitor } from "./traffic-monitor.mjs";
+import { normalizeToolChoice, normalizeTools, validateTools } from "./tools.mjs";
+import { DEFAULT_ACCOUNT_NAME, fromTokenFile } from "./token-store.mjs";
+import { createMemoryUsageLog, normalizeUsage, USAGE_GROUP_FIELDS, usageRowsToCsv } from "./usage-log.mjs";
+import { asString, isObject, isStringArray } from "./utils.mjs";
+
+const DEFAULT_ORIGINATOR = "codex_cli_rs";
+const DEFAULT_CLIENT_VERSION = "0.98.0";
+const DEFAULT_USER_AGENT = `codex_cli_rs/${DEFAULT_CLIENT_VERSION}`;
+const DEFAULT_INSTRUCTIONS =
+  "You are Codex, a coding agent based on GPT-5. Follow the user request and keep responses concise.";
+const MASTER_CLIENT = { name: "proxy-secret" };
+const tokenLog = logger.child({ component: "tokens" });
+const accountLog = logger.child({ component: "accounts" });
+const keyLog = logger.child({ component: "keys" });
+const authLog = logger.child({ component: "auth" });
+const rateLimitLog = logger.child({ component: "ratelimit" });
+const policyLog = logger.child({ component: "policy" });
+const upstreamLog = logger.child({ component: "upstream" });
+const retryLog = logger.child({ component: "retry" });
+const adminLog = logger.child({ component: "admin" });
+const ADMIN_UI_ASSETS = {
+  "index.html": "text/html; charset=utf-8",
+  "app.js": "text/javascript; charset=utf-8",
+  "style.css": "text/css; charset=utf-8",
+};
+const HEALTH_PATHS = new Set(["/", "/health", "/health/live", "/health/ready"]);
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const TERMINAL_RESPONSE_EVENTS = new Set(["response.completed", "response.incomplete", "response.failed"]);
+const STREAM_STATUS_BY_EVENT = {
+  "response.completed": "completed",
+  "response.incomplete": "incomplete",
+  "response.failed": "failed",
+  error: "failed",
+};
+const TO_RESPONSES_BODY = {
+  responses: (request) => request,
+  "chat.completions": chatRequestToResponsesBody,
+  messages: anthropicRequestToResponsesBody,
+};
+
+const encoder = new TextEncoder();
+// Picked up by the request log line.
+const errorCodes = new WeakMap();
+
+function corsHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers":
+      "Content-Type, Authorization, x-api-key, session_id, originator, version, x-codex-turn-state, x-codex-turn-metadata, x-codex-beta-features, anthropic-version, anthropic-beta, x-request-id",
+    "Access-Control-Expose-Headers": "x-request-id, x-upstream-request-id, x-upstream-cf-ray, x-proxy-cache, retry-after",
+  };
+}
+
+function withErrorCode(response, code) {
+  errorCodes.set(response, code);
+  return response;
+}
+
+function jsonResponse(status, data, extra = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...corsHeaders(), ...extra },
+  });
+}
+
+function errorResponse(status, message, type, code = null, extra = {}) {
+  return withErrorCode(jsonResponse(status, { error: { message, type, code } }, extra), code || type);
+}
+
+function textResponse(status, text, extra = {}) {
+  return new Response(text, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8", ...corsHeaders(), ...extra },
+  });
+}
+
+function toBase64(base64url) {
+  const normalized = base64url.replace(/-/g, "+").replace(/_/g, "/");
+  const padLength = (4 - (normalized.length % 4)) % 4;
+  return normalized + "=".repeat(padLength);
+}
+
+function decodeBase64Text(base64) {
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), (char) => char.charCodeAt(0)));
+}
+
+function decodeJwtPayload(token) {
+  try {
+    const parts = token.split(".");
+    if (parts.length < 2) return null;
+    const parsed = JSON.parse(decodeBase64Text(toBase64(parts[1])));
+    return isObject(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function extractAccountIdFromClaims(claims) {
+  const direct = asString(claims.chatgpt_account_id);
+  if (direct) return direct;
+
+  const authClaim = claims["https://api.openai.com/auth"];
+  if (isObject(authClaim)) {
+    const nested = asString(authClaim.chatgpt_account_id);
+    if (nested) return nested;
+  }
+
+  const organizations = claims.organizations;
+  if (Array.isArray(organizations) && organizations.length > 0) {
+    const first = organizations[0];
+    if (isObject(first)) {
+      const orgId = asString(first.id);
+      if (orgId) return orgId;
+    }
+  }
+
+  return undefined;
+}
+
+function extractAccountId(token) {
+  if (!token) return undefined;
+  const claims = decodeJwtPayload(token);
+  if (!claims) return undefined;
+  return extractAccountIdFromClaims(claims);
+}
+
+function tokenExpiryMs(token) {
+  const claims = decodeJwtPayload(token);
+  if (!claims || typeof claims.exp !== "number" || !Number.isFinite(claims.exp)) {
+    return 0;
+  }
+  return claims.exp * 1000;
+}
+
+function textToInputMessage(text) {
+  return {
+    type: "message",
+    role: "user",
+    content: [{ type: "input_text", text }],
+  };
+}
+
+function normalizeInput(body) {
+  if (Array.isArray(body.input)) return body.input;
+
+  const inputString = asString(body.input);
+  if (inputString && inputString.trim()) return [textToInputMessage(inputString)];
+
+  if (Array.isArray(body.messages)) {
+    const converted = chatMessagesToInput(body.messages);
+    if (converted.length) return converted;
+  }
+
+  return [textToInputMessage("Hello")];
+}
+
+function normalizeReasoning(body, resolved) {
+  const explicit = isObject(body.reasoning) ? asString(body.reasoning.effort)?.toLowerCase() : undefined;
+  const summary = isObject(body.reasoning) ? asString(body.reasoning.summary) : undefined;
+  const extra = summary ? { summary } : {};
+  return { effort: explicit || resolved.reasoningEffort, ...extra };
+}
+
+function normalizeSecretValue(value) {
+  if (typeof value !== "string") return "";
+  return value.trim().replace(/^"|"$/g, "").replace(/^'|'$/g, "");
+}
+
+function redactToken(token) {
+  return token ? `...${token.slice(-4)}` : null;
+}
+
+function getAuthDebugInfo(request) {
+  const authHeader = request.headers.get("authorization")?.trim() ?? "";
+  const xApiKey = request.headers.get("x-api-key")?.trim() ?? "";
+  const apiKey = request.headers.get("api-key")?.trim() ?? "";
+
+  let authScheme = "none";
+  if (authHeader) {
+    const first = authHeader.split(/\s+/, 1)[0] || "unknown";
+    authScheme = first;
+  }
+
+  return {
+    authScheme,
+    authHeaderLength: authHeader.length,
+    xApiKeyLength: xApiKey.length,
+    apiKeyLength: apiKey.length,
+    userAgent: request.headers.get("user-agent") ?? "",
+  };
+}
+
+// A percent-decoded URL path segment, or null when its escapes are malformed (e.g. "%E0").
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+// Every credential a client may have presented, in the order validateProxyAuth checks them.
+function presentedSecrets(request) {
+  const secrets = [];
+  const authHeader = request.headers.get("authorization");
+  if (authHeader && authHeader.trim().length > 0) {
+    const trimmed = authHeader.trim();
+    secrets.push(normalizeSecretValue(trimmed));
+
+    const match = trimmed.match(/^Bearer\s+(.+)$/i);
+    if (match) secrets.push(normalizeSecretValue(match[1]));
+
+    const basic = trimmed.match(/^Basic\s+(.+)$/i);
+    if (basic) {
+      try {
+        const [user = "", pass = ""] = decodeBase64Text(basic[1]).split(":", 2);
+        secrets.push(normalizeSecretValue(user), normalizeSecretValue(pass));
+      } catch {
+        // ignore invalid basic auth encoding
+      }
+    }
+  }
+
+  for (const header of ["x-api-key", "api-key"]) {
+    const value = request.headers.get(header);
+    if (value !== null) secrets.push(normalizeSecretValue(value));
+  }
+
+  return secrets.filter(Boolean);
+}
+
+// A well-formed client x-request-id is kept so callers can correlate with their own logs.
+function requestIdFor(request) {
+  const incoming = request.headers.get("x-request-id")?.trim();
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Reads the rest of a body nobody needs, so the client finishes sending and sees the response.
+function drain(reader) {
+  const pump = () => reader.read().then(({ done }) => done || pump());
+  pump().catch(() => {});
+}
+
+async function readJsonBody(request, limitMb) {
+  const chunks = [];
+  let total = 0;
+  if (request.body) {
+    const reader = request.body.getReader();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      total += value.byteLength;
+      if (total > limitMb * 1024 * 1024) {
+        drain(reader);
+        throw Object.assign(new Error(`Request body is larger than ${limitMb} MB`), { code: "request_too_large" });
+      }
+      chunks.push(value);
+    }
+  }
+  const text = (await new Blob(chunks).text()) || "{}";
+  return JSON.parse(text);
+}
+
+function bodyErrorResponse(error) {
+  if (error?.code === "request_too_large") {
+    return errorResponse(413, error.message, "invalid_request_error", error.code, { Connection: "close" });
+  }
+  return textResponse(400, "Invalid JSON body");
+}
+
+function accountTokenStatus(account) {
+  if (!account.accessToken) return "not_cached (will refresh on first request)";
+  if (account.expiresAt > Date.now()) {
+    return `valid (expires in ${Math.round((account.expiresAt - Date.now()) / 60000)} minutes)`;
+  }
+  return "expired (will refresh on next request)";
+}
+
+// Identifies a caller for rate limits and stored-response ownership: the key id, or "proxy-secret" for the master key.
+function clientId(client) {
+  return client.id || client.name;
+}
+
+function upstreamFailureResponse(failure, attempts, status = 502) {
+  return new Response(
+    JSON.stringify({
+      error: {
+        message: `Codex upstream request failed after ${attempts} attempt(s): ${failure.detail}`,
+        type: "upstream_error",
+        code: failure.kind,
+      },
+    }),
+    { status, headers: { "content-type": "application/json" } },
+  );
+}
+
+// Returns `response` with a body that calls `done({ aborted, bytes })` once it has been read to the end,
+// or with `aborted` once the client cancelled it.
+function watchBody(response, headers, done) {
+  if (!response.body) {
+    done({ aborted: false, bytes: 0 });
+    return new Response(null, { status: response.status, statusText: response.statusText, headers });
+  }
+
+  const reader = response.body.getReader();
+  let bytes = 0;
+  let finished = false;
+  const finish = (aborted) => {
+    if (finished) return;
+    finished = true;
+    done({ aborted, bytes });
+  };
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done: ended } = await reader.read();
+        if (ended) {
+          controller.close();
+          finish(false);
+          return;
+        }
+        bytes += value.byteLength;
+        controller.enqueue(value);
+      } catch (error) {
+        controller.error(error);
+        finish(true);
+      }
+    },
+    cancel(reason) {
+      finish(true);
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// The proxy itself, on the Fetch API: `fetch(request)` answers every route, so the Node server
+// (src/server.mjs), the Worker (src/index.ts) and tests all run the same code. Runtime-specific pieces come in
+// as dependencies: `config` from readProxyConfig(), a token store, JSON storage for the key registry, its usage
+// counters and the rotated proxy secret, how long keys and the rotated secret may be cached before they are
+// re-read (`sharedStateMaxAgeMs`, for runtimes where several instances share one store), `lookupHost(hostname)`
+// resolving to the addresses remote attachments are checked against, the usage log, { current, reload? }
+// holders for the model catalog and policy (a file watcher may swap `current`; `reload` backs POST
+// /admin/reload), optional response store persistence and recorder, and `adminAsset(name)`, which resolves a
+// dashboard file's body (or null when there is none). Throws when there are no stored tokens and no
+// OPENAI_REFRESH_TOKEN to start from.
+export async function createProxy({
+  config,
+  tokenStore,
+  keyStorage = createMemoryJsonStore(),
+  keyUsageStorage = createMemoryJsonStore(),
+  secretStorage = createMemoryJsonStore(),
+  sharedStateMaxAgeMs = Infinity,
+  lookupHost = null,
+  usageLog = createMemoryUsageLog(),
+  modelCatalog = { path: null, current: createModelCatalog() },
+  policy = { path: null, current: createPolicy() },
+  responsePersistence = null,
+  recorder = null,
+  adminAsset,
+  service = "gpt-codex-proxy",
+}) {
+  const startedAt = Date.now();
+  configureLogger({ level: config.logLevel, redact: config.logRedact });
+
+  async function loadStoredAccounts() {
+    try {
+      return await tokenStore.load();
+    } catch (error) {
+      tokenLog.warn("failed to load tokens", { store: tokenStore.description, error });
+      return [];
+    }
+  }
+
+  async function saveAccounts() {
+    try {
+      await tokenStore.save(accountPool.accounts);
+    } catch (error) {
+      tokenLog.warn("failed to save tokens", { store: tokenStore.description, error });
+    }
+  }
+
+  // Persisted tokens win over the env: they hold the latest rotated refresh tokens. The default account remembers
+  // a hash of the OPENAI_REFRESH_TOKEN it started from, so a new one in the env (a re-login) replaces it.
+  const envRefreshTokenHash = config.refreshToken ? hashKey(config.refreshToken) : undefined;
+  const envAccount = config.refreshToken
+    ? {
+        name: DEFAULT_ACCOUNT_NAME,
+        accessToken: config.accessToken,
+        refreshToken: config.refreshToken,
+        expiresAt: tokenExpiryMs(config.accessToken),
+        accountId: extractAccountId(config.accessToken) || config.chatgptAccountId,
+        envRefreshTokenHash,
+      }
+    : null;
+  const storedAccounts = await loadStoredAccounts();
+  if (!storedAccounts.length && !config.refreshToken) {
+    throw configError("missing required env var", {
+      name: "OPENAI_REFRESH_TOKEN",
+      reason: `no tokens in ${tokenStore.description}`,
+    });
+  }
+  let envAccountChanged = false;
+  const storedDefault = storedAccounts.findIndex((account) => account.name === DEFAULT_ACCOUNT_NAME);
+  if (envAccount && storedDefault !== -1) {
+    const stored = storedAccounts[storedDefault];
+    if (!stored.envRefreshTokenHash) {
+      // Stored before the hash was recorded: assume it came from the current env.
+      stored.envRefreshTokenHash = envRefreshTokenHash;
+    } else if (stored.envRefreshTokenHash !== envRefreshTokenHash) {
+      tokenLog.info("OPENAI_REFRESH_TOKEN changed since the tokens were stored, using it", { store: tokenStore.description });
+      storedAccounts[storedDefault] = envAccount;
+      envAccountChanged = true;
+    }
+  }
+
+  const accountPool = createAccountPool(
+    storedAccounts.length
+      ? storedAccounts.map((account) => ({
+          ...account,
+          expiresAt: tokenExpiryMs(account.accessToken) || account.expiresAt,
+          accountId:
+            account.accountId ||
+            extractAccountId(account.accessToken) ||
+            (account.name === DEFAULT_ACCOUNT_NAME ? config.chatgptAccountId : undefined),
+        }))
+      : [envAccount],
+    { strategy: config.accountSelection, maxConcurrent: config.accountMaxConcurrentStreams },
+  );
+  if (envAccountChanged) await saveAccounts();
+
+  if (storedAccounts.length) {
+    tokenLog.info("loaded stored accounts", { accounts: storedAccounts.length, store: tokenStore.description });
+  }
+
+  const tokenRefresher = createTokenRefresher({
+    accounts: () => accountPool.accounts,
+    refresh: refreshAccessToken,
+    ...config.tokenRefresh,
+    onAlert: (alert) => {
+      tokenLog[alert.event === "recovered" ? "info" : "error"](
+        alert.event === "recovered" ? "account tokens recovered" : "account needs a new login",
+        { account: alert.account.name },
+      );
+      sendTokenAlert(alert);
+    },
+  });
+
+  const keyRegistry = await createKeyRegistry(keyStorage, { usageStorage: keyUsageStorage, maxAgeMs: sharedStateMaxAgeMs });
+  const proxySecret = await createProxySecret(config.proxySecret, secretStorage, { maxAgeMs: sharedStateMaxAgeMs });
+  const rateLimiter = createRateLimiter();
+  const traffic = createTrafficMonitor({ recentLimit: config.adminRecentRequests });
+  const responseStore = config.responseStore.maxEntries
+    ? createResponseStore({ ...config.responseStore, persistence: responsePersistence })
+    : null;
+  const responseCache = config.responseCache.ttlMs > 0 ? createResponseCache(config.responseCache) : null;
+  const attachmentResolver = createAttachmentResolver({ ...config.attachments, lookupHost });
+  const retryPolicy = createRetryPolicy(config.upstreamRetry);
+
+  const metrics = createMetricsRegistry("codex_proxy_");
+  const requestsTotal = metrics.counter(
+    "requests_total",
+    "Proxied API requests by route, upstream model and response status.",
+    ["route", "model", "status"],
+  );
+  const requestDuration = metrics.histogram(
+    "request_duration_seconds",
+    "Total request duration, including streamed output.",
+    ["route", "model"],
+    [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600],
+  );
+  const upstreamTtfb = metrics.histogram(
+    "upstream_ttfb_seconds",
+    "Time until the Codex upstream returned response headers.",
+    ["route", "model"],
+    [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60],
+  );
+  const activeStreams = metrics.gauge("active_streams", "Responses currently streaming to clients.", ["route"]);
+  const tokenRefreshes = metrics.counter("token_refresh_total", "OAuth access token refreshes by result.", [
+    "account",
+    "result",
+  ]);
+  const upstream401Retries = metrics.counter(
+    "upstream_401_retries_total",
+    "Upstream 401 responses retried after a forced token refresh.",
+    ["account"],
+  );
+  const rateLimited = metrics.counter("rate_limited_total", "Requests rejected by proxy rate or concurrency limits.", [
+    "route",
+    "reason",
+  ]);
+  const accountFailovers = metrics.counter(
+    "account_failovers_total",
+    "Requests moved to another account after a usage limit or token failure.",
+    ["account", "reason"],
+  );
+  const responseCacheLookups = metrics.counter("response_cache_total", "Response cache lookups by result.", [
+    "route",
+    "result",
+  ]);
+  const upstreamRetries = metrics.counter("upstream_retries_total", "Upstream requests retried, by failure kind.", [
+    "route",
+    "reason",
+  ]);
+  metrics.gauge(
+    "access_token_expiry_seconds",
+    "Seconds until each account's access token expires (negative once expired).",
+    ["account"],
+    () =>
+      accountPool.accounts
+        .filter((account) => account.accessToken)
+        .map((account) => ({
+          labels: { account: account.name },
+          value: Math.round((account.expiresAt - Date.now()) / 1000),
+        })),
+  );
+  if (keyRegistry.size) {
+    keyLog.info("loaded client keys", { keys: keyRegistry.size, store: keyRegistry.description });
+  }
+
+  function normalizeRequestBody(raw) {
+    const body = isObject(raw) ? { ...raw } : {};
+    const resolved = modelCatalog.current.resolve(body.model);
+
+    body.model = resolved.model;
+    body.instructions =
+      asString(body.instructions)?.trim() || resolved.instructions || policy.current.defaultInstructions || DEFAULT_INSTRUCTIONS;
+    body.input = normalizeInput(body);
+    body.reasoning = normalizeReasoning(body, resolved);
+    if (resolved.verbosity) {
+      body.text = { verbosity: resolved.verbosity, ...(isObject(body.text) ? body.text : {}) };
+    }
+    body.tools = normalizeTools(body.tools);
+    body.tool_choice = normalizeToolChoice(body.tool_choice);
+    body.parallel_tool_calls = typeof body.parallel_tool_calls === "boolean" ? body.parallel_tool_calls : true;
+    body.include = isStringArray(body.include) ? body.include : [];
+    // Conversation state lives in the proxy's response store; the Codex backend only accepts stateless requests.
+    body.store = false;
+    body.stream = true;
+    delete body.previous_response_id;
+
+    // Codex backend rejects this OpenAI field.
+    if (Object.prototype.hasOwnProperty.call(body, "max_output_tokens")) {
+      delete body.max_output_tokens;
+    }
+
+    return body;
+  }
+
+  // Resolves the caller to the master PROXY_SECRET client or a registry key record.
+  async function validateProxyAuth(ctx) {
+    await Promise.all([proxySecret.refresh(), keyRegistry.refresh()]);
+    for (const secret of presentedSecrets(ctx.request)) {
+      const master = proxySecret.match(secret);
+      if (master === "previous") {
+        // Shows who still has to switch before the grace period ends.
+        authLog.info("accepted the previous proxy secret", {
+          requestId: ctx.id,
+          validUntil: proxySecret.status().previousValidUntil,
+          ...getAuthDebugInfo(ctx.request),
+        });
+      }
+      if (master) return MASTER_CLIENT;
+      const record = keyRegistry.find(secret);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  function buildUpstreamHeaders(request, accessToken, accountId) {
+    const headers = new Headers();
+    headers.set("authorization", `Bearer ${accessToken}`);
+    headers.set("content-type", "application/json");
+    headers.set("accept", "text/event-stream");
+    headers.set("originator", request.headers.get("originator") || DEFAULT_ORIGINATOR);
+    headers.set("user-agent", request.headers.get("user-agent") || DEFAULT_USER_AGENT);
+    headers.set("version", request.headers.get("version") || DEFAULT_CLIENT_VERSION);
+    headers.set("session_id", request.headers.get("session_id") || crypto.randomUUID());
+
+    if (accountId) {
+      headers.set("ChatGPT-Account-ID", accountId);
+    }
+
+    const passthrough = ["x-codex-turn-state", "x-codex-turn-metadata", "x-codex-beta-features"];
+    for (const key of passthrough) {
+      const value = request.headers.get(key);
+      if (value) {
+        headers.set(key, value);
+      }
+    }
+
+    return headers;
+  }
+
+  // Another process or Worker isolate sharing the token store may already have rotated this account's refresh
+  // token; refreshing with the old one would be rejected. True when the adopted access token is still good.
+  async function adoptStoredTokens(account) {
+    const stored = (await loadStoredAccounts()).find((candidate) => candidate.name === account.name);
+    if (!stored || !stored.refreshToken || stored.refreshToken === account.refreshToken) return false;
+    Object.assign(account, {
+      accessToken: stored.accessToken,
+      refreshToken: stored.refreshToken,
+      idToken: stored.idToken || account.idToken,
+      expiresAt: tokenExpiryMs(stored.accessToken) || stored.expiresAt,
+      accountId: stored.accountId || extractAccountId(stored.accessToken) || account.accountId,
+    });
+    return Boolean(account.accessToken) && account.expiresAt > Date.now() + 60_000;
+  }
+
+  async function requestTokenRefresh(account) {
+    if (await adoptStoredTokens(account)) return account;
+
+    const form = new URLSearchParams({
+      grant_type: "refresh_token",
+      refresh_token: account.refreshToken,
+      client_id: config.oauthClientId,
+    });
+
+    const response = await fetch(config.oauthTokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: form.toString(),
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      // The status tells the refresher whether the refresh token itself is dead.
+      throw Object.assign(new Error(`token refresh failed for ${account.name}: ${response.status} ${text}`), {
+        status: response.status,
+      });
+    }
+
+    const payload = await response.json();
+    const accessToken = asString(payload.access_token);
+    if (!accessToken) throw new Error(`token refresh failed for ${account.name}: missing access_token`);
+
+    const idToken = asString(payload.id_token);
+    const expiresIn = Number(payload.expires_in || 3600);
+    const safeExpiresIn = Number.isFinite(expiresIn) && expiresIn > 0 ? expiresIn : 3600;
+
+    Object.assign(account, {
+      accessToken,
+      refreshToken: asString(payload.refresh_token) || account.refreshToken,
+      idToken: idToken || account.idToken,
+      expiresAt: Date.now() + safeExpiresIn * 1000,
+      accountId: extractAccountId(idToken) || extractAccountId(accessToken) || account.accountId,
+    });
+
+    await saveAccounts();
+    return account;
+  }
+
+  async function refreshAccessToken(account) {
+    try {
+      const refreshed = await requestTokenRefresh(account);
+      tokenRefreshes.inc({ account: account.name, result: "success" });
+      return refreshed;
+    } catch (error) {
+      tokenRefreshes.inc({ account: account.name, result: "failure" });
+      throw error;
+    }
+  }
+
+  async function sendTokenAlert({ event, account, error }) {
+    if (!config.tokenAlertWebhookUrl) return;
+    try {
+      const response = await fetch(config.tokenAlertWebhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          event,
+          account: account.name,
+          accountId: account.accountId || null,
+          error: error ? String(error.message || error) : null,
+          at: new Date().toISOString(),
+          service,
+        }),
+        signal: AbortSignal.timeout(10_000),
+      });
+      if (!response.ok) throw new Error(`webhook returned ${response.status}`);
+    } catch (alertError) {
+      tokenLog.warn("token alert webhook failed", { event, account: account.name, error: alertError });
+    }
+  }
+
+  // Rejects tool definitions the upstream would refuse with an opaque error.
+  function checkTools(body, reject) {
+    const problem = validateTools(body.tools);
+    return problem ? withErrorCode(reject(problem), problem.code) : null;
+  }
+
+  // Applies the policy to the upstream body; returns the refusal when a block rule matches.
+  // Redactions are logged by pattern name and count, never with the redacted text.
+  function applyPolicy(ctx, body, reject) {
+    const result = policy.current.apply(body, { key: ctx.client.name, route: ctx.route, model: body.model });
+    if (result.blocked) {
+      policyLog.warn("request blocked by policy", { requestId: ctx.id, key: ctx.client.name, rule: result.blocked.rule });
+      return withErrorCode(reject({ status: 403, code: "policy_blocked", message: result.blocked.message }), "policy_blocked");
+    }
+    if (Object.keys(result.redactions).length) {
+      policyLog.info("redacted request input", { requestId: ctx.id, key: ctx.client.name, redactions: result.redactions });
+    }
+    Object.assign(body, result.body);
+    return null;
+  }
+
+  // Inlines remote images and file attachments into `body.input`; returns the refusal when one is rejected.
+  async function resolveAttachments(body, reject) {
+    try {
+      body.input = await attachmentResolver.resolve(body.input);
+      return null;
+    } catch (error) {
+      if (!(error instanceof AttachmentError)) throw error;
+      return withErrorCode(reject(error), error.code);
+    }
+  }
+
+  // Clients may send any model name and unknown ones are forwarded, so metrics label those "other" to keep the
+  // number of series bounded.
+  function metricModel(model) {
+    if (!model) return "unknown";
+    return modelCatalog.current.isKnown(model) ? model : "other";
+  }
+
+  // Metrics and the request log line are recorded once the response body has been sent or abandoned;
+  // the handler fills in the rest of `ctx` as it goes.
+  function trackRequest(ctx, route) {
+    ctx.route = route;
+    ctx.streaming = false;
+    ctx.onClose(({ status, errorCode, aborted, bytes }) => {
+      const labels = { route, model: metricModel(ctx.model) };
+      const durationMs = performance.now() - ctx.startedAt;
+      requestsTotal.inc({ ...labels, status });
+      requestDuration.observe(labels, durationMs / 1000);
+      if (ctx.streaming) activeStreams.dec({ route });
+
+      const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+      const summary = {
+        requestId: ctx.id,
+        key: ctx.client?.name,
+        route,
+        model: ctx.model,
+        account: ctx.account,
+        status,
+        upstreamStatus: ctx.upstreamStatus,
+        upstreamRequestId: ctx.upstreamRequestId,
+        cfRay: ctx.cfRay,
+        latencyMs: Math.round(durationMs),
+        bytesSent: bytes,
+        streamed: ctx.streaming,
+        streamStatus: ctx.streaming && aborted ? "client_closed" : ctx.streamStatus,
+        streamEvents: ctx.streamEvents,
+        cache: ctx.cache,
+        aborted,
+        errorCode,
+      };
+      logger[level]("request completed", summary);
+      traffic.finished(ctx, { time: new Date().toISOString(), ...summary });
+    });
+  }
+
+  function beginStream(ctx) {
+    ctx.streaming = true;
+    activeStreams.inc({ route: ctx.route });
+    traffic.streamStarted(ctx);
+  }
+
+  // Sets ctx.client, or returns the response refusing the caller.
+  async function authorizeProxyRequest(ctx, route) {
+    const { request } = ctx;
+    const client = await validateProxyAuth(ctx);
+    if (!client || client.enabled === false) {
+      authLog.warn("unauthorized", {
+        requestId: ctx.id,
+        route,
+        ...getAuthDebugInfo(request),
+        ...(client ? { key: client.name, reason: "revoked" } : {}),
+      });
+      return textResponse(401, "Unauthorized");
+    }
+
+    const denied = checkKeyAccess(client, { route });
+    if (denied) {
+      authLog.warn("denied", { requestId: ctx.id, key: client.name, route, code: denied.code });
+      return errorResponse(denied.status, denied.message, denied.status === 429 ? "insufficient_quota" : "permission_error", denied.code);
+    }
+
+    authLog.debug("accepted", {
+      requestId: ctx.id,
+      key: client.name,
+      route,
+      userAgent: getAuthDebugInfo(request).userAgent,
+    });
+    ctx.client = client;
+    return null;
+  }
+
+  // Per-key limits from the registry override the RATE_LIMIT_* defaults.
+  function rateLimitsFor(client) {
+    const own = isObject(client.rateLimits) ? client.rateLimits : {};
+    return {
+      requestsPerMinute: own.requestsPerMinute || config.rateLimit.requestsPerMinute,
+      tokensPerMinute: own.tokensPerMinute || config.rateLimit.tokensPerMinute,
+    };
+  }
+
+  function rateLimitedResponse(ctx, message, type, retryAfterMs) {
+    rateLimited.inc({ route: ctx.route, reason: type });
+    rateLimitLog.warn("rate limited", { requestId: ctx.id, key: ctx.client?.name, route: ctx.route, type });
+    return errorResponse(429, message, type, "rate_limit_exceeded", {
+      "Retry-After": String(Math.max(Math.ceil(retryAfterMs / 1000), 1)),
+    });
+  }
+
+  // Takes one request from the key's bucket, waiting up to RATE_LIMIT_MAX_WAIT_MS for capacity.
+  async function applyRateLimit(ctx) {
+    const id = clientId(ctx.client);
+    const limits = rateLimitsFor(ctx.client);
+
+    let state = rateLimiter.inspect(id, limits);
+    if (state.waitMs > 0 && state.waitMs <= config.rateLimit.maxWaitMs) {
+      await new Promise((resolve) => setTimeout(resolve, state.waitMs));
+      state = rateLimiter.inspect(id, limits);
+    }
+
+    if (state.waitMs > 0) {
+      for (const [name, value] of Object.entries(state.headers)) ctx.headers.set(name, value);
+      const unit = state.limitedBy === "requests" ? "requests" : "tokens";
+      return rateLimitedResponse(
+        ctx,
+        `Rate limit reached for key "${ctx.client.name}" on ${unit} per min: Limit ${state.limit}. Please try again in ${Math.ceil(state.waitMs / 1000)}s.`,
+        unit,
+        state.waitMs,
+      );
+    }
+
+    rateLimiter.takeRequest(id, limits);
+    // Set early so every later response to this request carries the current limits.
+    for (const [name, value] of Object.entries(rateLimiter.inspect(id, limits).headers)) ctx.headers.set(name, value);
+    return null;
+  }
+
+  // Model scopes are checked against both the alias the client asked for and the upstream model.
+  function authorizeModel(ctx, requestedModel, body) {
+    const { client } = ctx;
+    const resolved = modelCatalog.current.resolve(requestedModel);
+    if (resolved.disabled) {
+      return errorResponse(404, `The model '${resolved.id}' is disabled on this proxy`, "invalid_request_error", "model_not_found");
+    }
+
+    const models = [...new Set([asString(requestedModel)?.trim().toLowerCase(), body.model].filter(Boolean))];
+    const denied = checkKeyAccess(client, { models });
+    if (denied) {
+      authLog.warn("denied", { requestId: ctx.id, key: client.name, models, code: denied.code });
+      return errorResponse(denied.status, denied.message, "permission_error", denied.code);
+    }
+
+    keyRegistry.recordRequest(client);
+    return null;
+  }
+
+  // Reads a model route's JSON body, sets ctx.requestBody and returns { rawBody }, or { reply } when it is
+  // not acceptable.
+  async function readRequestBody(ctx) {
+    try {
+      ctx.requestBody = await readJsonBody(ctx.request, config.bodyLimitsMb[ctx.route]);
+      return { rawBody: ctx.requestBody };
+    } catch (error) {
+      return { reply: bodyErrorResponse(error) };
+    }
+  }
+
+  function recordUsage(ctx, usage) {
+    const normalized = normalizeUsage(usage);
+    // A replayed response cost no upstream tokens.
+    if (!normalized || ctx.cache === "hit") return;
+
+    keyRegistry.recordTokens(ctx.client, normalized.total_tokens);
+    rateLimiter.takeTokens(clientId(ctx.client), rateLimitsFor(ctx.client), normalized.total_tokens);
+    const now = new Date();
+    usageLog.record({
+      ts: now.toISOString(),
+      day: now.toISOString().slice(0, 10),
+      key: ctx.client.name,
+      route: ctx.route,
+      model: ctx.model,
+      account: ctx.account,
+      ...normalized,
+    });
+  }
+
+  function recordUsageFromEvent(ctx, data) {
+    if (isObject(data) && TERMINAL_RESPONSE_EVENTS.has(data.type) && isObject(data.response)) {
+      recordUsage(ctx, data.response.usage);
+    }
+  }
+
+  function observeStreamEvent(ctx, entry) {
+    const { data } = entry;
+    ctx.streamEvents = (ctx.streamEvents || 0) + 1;
+    recordUsageFromEvent(ctx, data);
+    if (!isObject(data) || !STREAM_STATUS_BY_EVENT[data.type]) return;
+
+    ctx.streamStatus = STREAM_STATUS_BY_EVENT[data.type];
+    if (ctx.streamStatus === "failed") {
+      const error = data.type === "response.failed" ? data.response?.error : isObject(data.error) ? data.error : data;
+      upstreamLog.warn("upstream stream failed", {
+        requestId: ctx.id,
+        code: asString(error?.code) || asString(error?.type),
+        message: asString(error?.message),
+      });
+    }
+  }
+
+  // A client SSE body that relays upstream events as they arrive. `transform` returns the SSE text for each event,
+  // which is where a route inspects or rewrites them; `interrupted` describes a broken upstream stream in the
+  // route's own error format; `done` runs once the upstream stream has ended, unless the client left first.
+  // Heartbeat comments keep idle connections open during long reasoning pauses.
+  function streamSSE(ctx, upstream, { transform, interrupted, trailer = "", done = async () => {} }) {
+    const events = readSSEEvents(upstream.body);
+    let heartbeat;
+    let cancelled = false;
+
+    const send = (controller, text) => {
+      if (!cancelled && text) controller.enqueue(encoder.encode(text));
+    };
+    const armHeartbeat = (controller) => {
+      clearTimeout(heartbeat);
+      if (!config.sseHeartbeatMs) return;
+      heartbeat = setTimeout(() => {
+        send(controller, SSE_HEARTBEAT);
+        armHeartbeat(controller);
+      }, config.sseHeartbeatMs);
+    };
+    const end = async (controller) => {
+      clearTimeout(heartbeat);
+      if (cancelled) return;
+      send(controller, trailer);
+      controller.close();
+      try {
+        await done();
+      } catch (error) {
+        logger.warn("stream completion hook failed", { requestId: ctx.id, error });
+      }
+    };
+
+    ctx.streamStatus = "truncated";
+    return new ReadableStream({
+      start(controller) {
+        armHeartbeat(controller);
+      },
+
+      async pull(controller) {
+        try {
+          for (;;) {
+            const { value: entry, done: ended } = await events.next();
+            if (ended) return end(controller);
+            observeStreamEvent(ctx, entry);
+            const output = transform(entry);
+            if (output.length) {
+              send(controller, output.join(""));
+              armHeartbeat(controller);
+              return;
+            }
+          }
+        } catch (error) {
+          if (cancelled || ctx.upstreamAbort?.signal.aborted) {
+            ctx.streamStatus = "client_closed";
+            clearTimeout(heartbeat);
+            return;
+          }
+          ctx.streamStatus = "interrupted";
+          upstreamLog.warn("upstream stream interrupted", { requestId: ctx.id, error });
+          send(controller, interrupted(`Upstream stream interrupted: ${String(error?.cause || error)}`));
+          return end(controller);
+        }
+      },
+
+      cancel() {
+        cancelled = true;
+        clearTimeout(heartbeat);
+        ctx.upstreamAbort?.abort();
+      },
+    });
+  }
+
+  // Resolves to { upstream } or, when the client should get a response of the proxy's own, { reply }.
+  // With `buffer`, the whole upstream stream is read here so mid-stream failures can be retried too.
+  async function sendToCodex(ctx, body, { buffer = false } = {}) {
+    const { request } = ctx;
+    const sessionId = asString(request.headers.get("session_id")) || asString(body.prompt_cache_key);
+    let tried = new Set();
+
+    // Aborts the upstream request (including retries and any stream still being read) once the client goes away.
+    const abort = new AbortController();
+    ctx.upstreamAbort = abort;
+    if (request.signal.aborted) abort.abort();
+    request.signal.addEventListener("abort", () => abort.abort(), { once: true });
+    ctx.onClose(({ aborted }) => {
+      if (aborted) abort.abort();
+    });
+
+    let sentHeaders;
+    const send = async (account) => {
+      sentHeaders = buildUpstreamHeaders(request, account.accessToken, account.accountId);
+      return fetch(config.codexResponsesUrl, {
+        method: "POST",
+        headers: sentHeaders,
+        body: JSON.stringify(body),
+        signal: abort.signal,
+      });
+    };
+
+    let upstream = null;
+    let usedAccount;
+    let limitedForMs;
+    let attempt = 0;
+
+    const scheduleRetry = async (failure, retryAfterMs) => {
+      const delayMs = retryPolicy.delayFor(attempt, retryAfterMs);
+      if (delayMs === null) return false;
+      attempt += 1;
+      upstreamRetries.inc({ route: ctx.route, reason: failure.kind });
+      retryLog.warn("retrying upstream request", {
+        requestId: ctx.id,
+        reason: failure.kind,
+        detail: failure.detail,
+        attempt,
+        maxRetries: retryPolicy.maxRetries,
+        delayMs,
+        account: usedAccount?.name,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      return !abort.signal.aborted;
+    };
+
+    for (;;) {
+      let account = accountPool.select({ sessionId, exclude: tried });
+      if (!account && !tried.size && (await accountPool.waitForCapacity(config.rateLimit.maxWaitMs))) {
+        account = accountPool.select({ sessionId, exclude: tried });
+      }
+      if (!account) {
+        // Every account is usage-limited; wait it out when the limit lifts within the retry budget.
+        if (limitedForMs !== undefined) {
+          const failure = { kind: "usage_limit", detail: `all accounts usage-limited (${upstream.status})` };
+          if (await scheduleRetry(failure, limitedForMs)) {
+            tried = new Set();
+            limitedForMs = undefined;
+            continue;
+          }
+        }
+        break;
+      }
+      tried.add(account);
+
+      try {
+        await tokenRefresher.ensureFresh(account);
+      } catch (error) {
+        if (tried.size < accountPool.accounts.length) {
+          accountFailovers.inc({ account: account.name, reason: "token_error" });
+          accountLog.warn("account unavailable, failing over", { requestId: ctx.id, account: account.name, error });
+          continue;
+        }
+        if (upstream) break;
+        if (usedAccount) accountPool.release(usedAccount);
+        return { reply: jsonResponse(500, { error: "token_error", message: String(error) }) };
+      }
+
+      if (usedAccount) accountPool.release(usedAccount);
+      accountPool.acquire(account);
+      usedAccount = account;
+      ctx.account = account.name;
+
+      let failure = null;
+      let retryAfterMs;
+      try {
+        const sentAt = performance.now();
+        upstream = await send(account);
+        if (upstream.status === 401) {
+          upstream401Retries.inc({ account: account.name });
+          await upstream.body?.cancel();
+          await tokenRefresher.refresh(account);
+          upstream = await send(account);
+        }
+        upstreamTtfb.observe({ route: ctx.route, model: metricModel(ctx.model) }, (performance.now() - sentAt) / 1000);
+
+        if (isRetryableStatus(upstream.status)) {
+          await upstream.body?.cancel();
+          retryAfterMs = parseRetryAfterMs(upstream.headers);
+          failure = { kind: `http_${upstream.status}`, detail: `upstream returned ${upstream.status}` };
+        } else if (upstream.status >= 400) {
+          // Buffer the (small) error body so it can be inspected and still forwarded.
+          const text = await upstream.text();
+          const retryMs = usageLimitRetryMs(upstream.status, upstream.headers, text);
+          upstream = new Response(text, { status: upstream.status, headers: upstream.headers });
+
+          if (retryMs !== undefined) {
+            accountPool.markLimited(account, retryMs);
+            accountFailovers.inc({ account: account.name, reason: "usage_limit" });
+            accountLog.warn("account usage-limited", {
+              requestId: ctx.id,
+              account: account.name,
+              upstreamStatus: upstream.status,
+              limitedForMs: retryMs,
+            });
+            limitedForMs = limitedForMs === undefined ? retryMs : Math.min(limitedForMs, retryMs);
+            continue;
+          }
+        } else if (buffer) {
+          const text = await upstream.text();
+          failure = transcriptFailure(text);
+          upstream = new Response(text, { status: upstream.status, headers: upstream.headers });
+        } else if (upstream.body) {
+          // Nothing has reached the client yet, so a stream that dies before its first chunk is still retryable.
+          const stream = await withFirstChunk(upstream.body);
+          upstream = new Response(stream, { status: upstream.status, headers: upstream.headers });
+        }
+      } catch (error) {
+        if (abort.signal.aborted) {
+          accountPool.release(account);
+          // Nobody is left to read this; it only completes the request log line.
+          return { reply: errorResponse(499, "Client closed request", "client_closed") };
+        }
+        upstream = null;
+        failure = { kind: "network", detail: `upstream request failed: ${String(error?.cause || error)}` };
+      }
+
+      if (failure) {
+        if (await scheduleRetry(failure, retryAfterMs)) {
+          tried.delete(account);
+          continue;
+        }
+        // A failed transcript is returned as-is so each route reports the upstream error in its own shape.
+        if (failure.kind.startsWith("stream_") && upstream) break;
+        upstream = upstreamFailureResponse(failure, attempt + 1, upstream?.status);
+      }
+
+      break;
+    }
+
+    if (!upstream) {
+      if (usedAccount) accountPool.release(usedAccount);
+      return {
+        reply: rateLimitedResponse(
+          ctx,
+          `All upstream accounts are at their limit of ${accountPool.maxConcurrent} concurrent streams. Please try again shortly.`,
+          "concurrency",
+          1000,
+        ),
+      };
+    }
+
+    // The account slot is held until the client response (including any stream) is finished.
+    ctx.onClose(() => accountPool.release(usedAccount));
+
+    // Echoed back so a client can quote the IDs OpenAI needs to trace an upstream error.
+    ctx.upstreamStatus = upstream.status;
+    ctx.upstreamRequestId = upstream.headers.get("x-request-id") || undefined;
+    ctx.cfRay = upstream.headers.get("cf-ray") || undefined;
+    if (ctx.upstreamRequestId) ctx.headers.set("x-upstream-request-id", ctx.upstreamRequestId);
+    if (ctx.cfRay) ctx.headers.set("x-upstream-cf-ray", ctx.cfRay);
+
+    if (recorder) {
+      upstream = recorder.record(
+        {
+          id: ctx.id,
+          route: ctx.route,
+          request: {
+            method: request.method,
+            path: ctx.url.pathname,
+            headers: request.headers,
+            body: ctx.requestBody,
+          },
+          upstream: {
+            url: config.codexResponsesUrl,
+            account: usedAccount.name,
+            attempts: attempt + 1,
+            headers: sentHeaders || {},
+            body,
+          },
+        },
+        upstream,
+        new Promise((resolve) => ctx.onClose(resolve)),
+      );
+    }
+
+    if (upstream.status >= 400) {
+      upstreamLog.warn("upstream error", {
+        requestId: ctx.id,
+        path: ctx.url.pathname,
+        account: usedAccount.name,
+        upstreamStatus: upstream.status,
+        upstreamRequestId: ctx.upstreamRequestId,
+        cfRay: ctx.cfRay,
+        attempts: attempt + 1,
+        contentType: upstream.headers.get("content-type") || "",
+      });
+    }
+
+    return { upstream };
+  }
+
+  // Keys opt in with `cache: true`; keys without a setting (and PROXY_SECRET) follow RESPONSE_CACHE_DEFAULT.
+  function cacheEnabledFor(client) {
+    return Boolean(responseCache) && (typeof client.cache === "boolean" ? client.cache : config.responseCache.default);
+  }
+
+  // sendToCodex behind the response cache. A hit comes back as a finished upstream response, so each route streams
+  // or assembles it exactly like a live one. `Cache-Control: no-cache` skips the lookup; `no-store` skips the cache.
+  async function sendToCodexCached(ctx, body, options) {
+    const directives = (ctx.request.headers.get("cache-control") || "").toLowerCase().split(",").map((item) => item.trim());
+    if (!cacheEnabledFor(ctx.client) || directives.includes("no-store")) return sendToCodex(ctx, body, options);
+
+    const key = responseCacheKey(clientId(ctx.client), body);
+    const cached = directives.includes("no-cache") ? null : responseCache.get(key);
+    ctx.cache = cached ? "hit" : "miss";
+    responseCacheLookups.inc({ route: ctx.route, result: ctx.cache });
+    ctx.headers.set("x-proxy-cache", ctx.cache);
+    if (cached) return { upstream: new Response(cached, { status: 200, headers: { "content-type": "text/event-stream" } }) };
+
+    const sent = await sendToCodex(ctx, body, options);
+    const { upstream } = sent;
+    if (!upstream || upstream.status >= 400 || !upstream.body) return sent;
+    return { upstream: new Response(responseCache.capture(key, upstream.body), { status: upstream.status, headers: upstream.headers }) };
+  }
+
+  // Stored responses are only visible to the key that created them.
+  async function findStoredResponse(client, id) {
+    const entry = responseStore ? await responseStore.get(id) : null;
+    return entry && entry.owner === clientId(client) ? entry : null;
+  }
+
+  // Saves a finished response so later requests can continue from it with previous_response_id.
+  async function storeResponse(ctx, response, { previousResponseId, history, input }) {
+    const stored = { ...response, store: true, previous_response_id: previousResponseId ?? null };
+    await responseStore.save({
+      id: response.id,
+      owner: clientId(ctx.client),
+      createdAt: new Date().toISOString(),
+      history,
+      input,
+      output: Array.isArray(response.output) ? response.output : [],
+      response: stored,
+    });
+    return stored;
+  }
+
+  async function handleResponses(ctx) {
+    trackRequest(ctx, "responses");
+    const refused = (await authorizeProxyRequest(ctx, ctx.route)) || (await applyRateLimit(ctx));
+    if (refused) return refused;
+    const { client } = ctx;
+
+    const { rawBody, reply } = await readRequestBody(ctx);
+    if (reply) return reply;
+
+    const clientRequestedStream = isObject(rawBody) ? rawBody.stream === true : false;
+    const body = normalizeRequestBody(rawBody);
+    ctx.model = body.model;
+    const rejectRequest = (error) => errorResponse(error.status, error.message, "invalid_request_error", error.code);
+    const rejected =
+      authorizeModel(ctx, isObject(rawBody) ? rawBody.model : undefined, body) ||
+      checkTools(body, rejectRequest) ||
+      (await resolveAttachments(body, rejectRequest)) ||
+      applyPolicy(ctx, body, rejectRequest);
+    if (rejected) return rejected;
+
+    const previousResponseId = isObject(rawBody) ? asString(rawBody.previous_response_id) : undefined;
+    const turn = { previousResponseId, history: [], input: body.input };
+    if (previousResponseId) {
+      const previous = await findStoredResponse(client, previousResponseId);
+      if (!previous) {
+        return errorResponse(
+          400,
+          `Previous response with id '${previousResponseId}' not found.`,
+          "invalid_request_error",
+          "previous_response_not_found",
+        );
+      }
+      turn.history = conversationHistory(previous);
+      body.input = [...turn.history, ...turn.input];
+    }
+
+    const store = Boolean(responseStore) && !(isObject(rawBody) && rawBody.store === false);
+    // Reasoning can only be carried into the next turn in its encrypted form.
+    if (store && !body.include.includes("reasoning.encrypted_content")) {
+      body.include = [...body.include, "reasoning.encrypted_content"];
+    }
+
+    const { upstream, reply: upstreamReply } = await sendToCodexCached(ctx, body, { buffer: !clientRequestedStream });
+    if (upstreamReply) return upstreamReply;
+
+    const responseHeaders = {
+      ...corsHeaders(),
+      "Content-Type": upstream.headers.get("content-type") || "application/json",
+    };
+
+    if (upstream.status >= 400 || !upstream.body) {
+      return new Response(await upstream.text(), { status: upstream.status, headers: responseHeaders });
+    }
+
+    if (clientRequestedStream) {
+      const assembler = store ? createResponseAssembler() : null;
+      beginStream(ctx);
+      const stream = streamSSE(ctx, upstream, {
+        transform: (entry) => {
+          assembler?.push(entry.data);
+          return [entry.raw];
+        },
+        interrupted: (message) => formatSSE({ type: "error", code: "stream_interrupted", message }, "error"),
+        done: async () => {
+          const { response } = assembler?.result() ?? {};
+          if (response) await storeResponse(ctx, response, turn);
+        },
+      });
+      return new Response(stream, { status: upstream.status, headers: responseHeaders });
+    }
+
+    const events = parseSSE(await upstream.text());
+    for (const entry of events) recordUsageFromEvent(ctx, entry.data);
+    const { response, error, status } = buildResponseFromEvents(events);
+    if (error) return jsonResponse(status, { error });
+
+    if (response) return jsonResponse(200, store ? await storeResponse(ctx, response, turn) : response);
+
+    return errorResponse(502, "Upstream stream ended without a completed response", "upstream_error", "stream_truncated");
+  }
+
+  // GET/DELETE /v1/responses/{id} and GET /v1/responses/{id}/input_items, served from the response store.
+  async function handleStoredResponse(ctx) {
+    const { request, url } = ctx;
+    const refused = await authorizeProxyRequest(ctx, "responses");
+    if (refused) return refused;
+
+    const segments = url.pathname.replace(/^\/(openai\/)?v1\/responses\//, "").split("/");
+    const [id = "", view] = segments.map(decodePathSegment);
+    const entry = id === null ? null : await findStoredResponse(ctx.client, id);
+    if (!entry) {
+      return errorResponse(404, `Response with id '${id ?? segments[0]}' not found.`, "invalid_request_error", "response_not_found");
+    }
+
+    if (request.method === "GET" && !view) return jsonResponse(200, entry.response);
+
+    if (request.method === "GET" && view === "input_items") {
+      const items = url.searchParams.get("order") === "asc" ? entry.input : [...entry.input].reverse();
+      return jsonResponse(200, {
+        object: "list",
+        data: items,
+        first_id: items[0]?.id ?? null,
+        last_id: items.at(-1)?.id ?? null,
+        has_more: false,
+      });
+    }
+
+    if (request.method === "DELETE" && !view) {
+      await responseStore.delete(entry.id);
+      return jsonResponse(200, { id: entry.id, object: "response", deleted: true });
+    }
+
+    return textResponse(405, "Method not allowed");
+  }
+
+  async function handleChatCompletions(ctx) {
+    trackRequest(ctx, "chat.completions");
+    const refused = (await authorizeProxyRequest(ctx, ctx.route)) || (await applyRateLimit(ctx));
+    if (refused) return refused;
+
+    const { rawBody, reply } = await readRequestBody(ctx);
+    if (reply) return reply;
+
+    const request = isObject(rawBody) ? rawBody : {};
+    const model = asString(request.model) || modelCatalog.current.defaultModel;
+    const body = normalizeRequestBody(chatRequestToResponsesBody(request));
+    ctx.model = body.model;
+    const rejectRequest = (error) => errorResponse(error.status, error.message, "invalid_request_error", error.code);
+    const rejected =
+      authorizeModel(ctx, request.model, body) ||
+      checkTools(body, rejectRequest) ||
+      (await resolveAttachments(body, rejectRequest)) ||
+      applyPolicy(ctx, body, rejectRequest);
+    if (rejected) return rejected;
+
+    const { upstream, reply: upstreamReply } = await sendToCodexCached(ctx, body, { buffer: request.stream !== true });
+    if (upstreamReply) return upstreamReply;
+
+    if (upstream.status >= 400 || !upstream.body) {
+      const text = await upstream.text();
+      return jsonResponse(upstream.status >= 400 ? upstream.status : 502, chatErrorFromUpstream(upstream.status, text));
+    }
+
+    if (request.stream === true) {
+      const translator = createChatStreamTranslator({
+        model,
+        includeUsage: isObject(request.stream_options) && request.stream_options.include_usage === true,
+      });
+
+      beginStream(ctx);
+      const stream = streamSSE(ctx, upstream, {
+        transform: (entry) => translator.push(entry.data).map((chunk) => formatSSE(chunk)),
+        interrupted: (message) => formatSSE({ error: { message, type: "upstream_error", code: "stream_interrupted" } }),
+        trailer: formatSSE("[DONE]"),
+      });
+      return new Response(stream, {
+        status: 200,
+        headers: { ...corsHeaders(), "Content-Type": "text/event-stream", "Cache-Control": "no-cache" },
+      });
+    }
+
+    const events = parseSSE(await upstream.text());
+    for (const entry of events) recordUsageFromEvent(ctx, entry.data);
+    const { completion, error, status } = buildChatCompletionFromEvents(events, model);
+    if (error) return jsonResponse(status, { error });
+
+    if (completion) return jsonResponse(200, completion);
+
+    return jsonResponse(502, chatErrorFromUpstream(upstream.status, "Upstream stream ended without a completed response"));
+  }
+
+  async function handleAnthropicMessages(ctx) {
+    trackRequest(ctx, "messages");
+    const refused = (await authorizeProxyRequest(ctx, ctx.route)) || (await applyRateLimit(ctx));
+    if (refused) return refused;
+
+    const { rawBody, reply } = await readRequestBody(ctx);
+    if (reply) return reply;
+
+    const request = isObject(rawBody) ? rawBody : {};
+    const model = asString(request.model) || modelCatalog.current.defaultModel;
+    const body = normalizeRequestBody(anthropicRequestToResponsesBody(request));
+    ctx.model = body.model;
+    const rejectRequest = (error) => jsonResponse(error.status, anthropicError(error.status, error.message));
+    const rejected =
+      authorizeModel(ctx, request.model, body) ||
+      checkTools(body, rejectRequest) ||
+      (await resolveAttachments(body, rejectRequest)) ||
+      applyPolicy(ctx, body, rejectRequest);
+    if (rejected) return rejected;
+
+    const { upstream, reply: upstreamReply } = await sendToCodexCached(ctx, body, { buffer: request.stream !== true });
+    if (upstreamReply) return upstreamReply;
+
+    if (upstream.status >= 400 || !upstream.body) {
+      const text = await upstream.text();
+      const status = upstream.status >= 400 ? upstream.status : 502;
+      return jsonResponse(status, anthropicErrorFromUpstream(status, text));
+    }
+
+    if (request.stream === true) {
+      const translator = createAnthropicStreamTranslator({ model });
+
+      beginStream(ctx);
+      const stream = streamSSE(ctx, upstream, {
+        transform: (entry) => translator.push(entry.data).map(({ event, data }) => formatSSE(data, event)),
+        interrupted: (message) => formatSSE(anthropicError(502, message), "error"),
+      });
+      return new Response(stream, {
+        status: 200,
+        headers: { ...corsHeaders(), "Content-Type": "text/event-stream", "Cache-Control": "no-cache" },
+      });
+    }
+
+    const events = parseSSE(await upstream.text());
+    for (const entry of events) recordUsageFromEvent(ctx, entry.data);
+    const { message, error, status } = buildAnthropicMessageFromEvents(events, model);
+    if (error) return jsonResponse(status, error);
+
+    if (message) return jsonResponse(200, message);
+
+    return jsonResponse(502, anthropicErrorFromUpstream(502, "Upstream stream ended without a completed response"));
+  }
+
+  function isAdminRequest(request) {
+    return Boolean(config.adminSecret) && presentedSecrets(request).includes(config.adminSecret);
+  }
+
+  async function handleAdminKeys(ctx) {
+    const { request, url } = ctx;
+    const segment = url.pathname.slice("/admin/keys".length).replace(/^\//, "");
+    const id = decodePathSegment(segment);
+    if (id === null) return errorResponse(404, `No key with id or name ${segment}`, "invalid_request_error", "key_not_found");
+
+    if (request.method === "GET" && !id) return jsonResponse(200, { object: "list", data: keyRegistry.list() });
+
+    if (request.method === "POST" && !id) {
+      let rawBody;
+      try {
+        rawBody = await readJsonBody(request, config.maxBodyMb);
+      } catch (error) {
+        return bodyErrorResponse(error);
+      }
+
+      try {
+        const created = await keyRegistry.create(rawBody);
+        adminLog.info("created key", { requestId: ctx.id, key: created.record.name, keyId: created.record.id });
+        return jsonResponse(201, { ...created.record, key: created.key });
+      } catch (error) {
+        return errorResponse(400, error.message, "invalid_request_error");
+      }
+    }
+
+    if (request.method === "DELETE" && id) {
+      const revoked = await keyRegistry.revoke(id);
+      if (!revoked) return errorResponse(404, `No key with id or name ${id}`, "invalid_request_error", "key_not_found");
+      adminLog.info("revoked key", { requestId: ctx.id, key: revoked.name, keyId: revoked.id });
+      return jsonResponse(200, revoked);
+    }
+
+    return textResponse(405, "Method not allowed");
+  }
+
+  // POST /admin/policy/dry-run with { route, key, request }: returns the upstream body the request would be sent as,
+  // after tool checks, attachments and the policy, without sending it.
+  async function handleAdminPolicyDryRun(ctx) {
+    if (ctx.request.method !== "POST") return textResponse(405, "Method not allowed");
+
+    let rawBody;
+    try {
+      rawBody = await readJsonBody(ctx.request, Math.max(...Object.values(config.bodyLimitsMb)));
+    } catch (error) {
+      return bodyErrorResponse(error);
+    }
+
+    const source = isObject(rawBody) ? rawBody : {};
+    const route = asString(source.route) || "responses";
+    if (!KEY_ROUTES.includes(route)) {
+      return errorResponse(400, `unknown route "${route}" (expected one of ${KEY_ROUTES.join(", ")})`, "invalid_request_error");
+    }
+    const key = asString(source.key) || MASTER_CLIENT.name;
+    const body = normalizeRequestBody(TO_RESPONSES_BODY[route](isObject(source.request) ? source.request : {}));
+    const rejectRequest = (error) => errorResponse(error.status, error.message, "invalid_request_error", error.code);
+    const rejected = checkTools(body, rejectRequest) || (await resolveAttachments(body, rejectRequest));
+    if (rejected) return rejected;
+
+    const result = policy.current.apply(body, { key, route, model: body.model });
+    return jsonResponse(200, { route, key, blocked: result.blocked, redactions: result.redactions, body: result.body });
+  }
+
+  function accountView(account) {
+    return {
+      name: account.name,
+      accountId: account.accountId || null,
+      // Enough to tell tokens apart, never enough to use them.
+      accessToken: redactToken(account.accessToken),
+      refreshToken: redactToken(account.refreshToken),
+      tokenStatus: accountTokenStatus(account),
+      expiresAt: account.accessToken ? new Date(account.expiresAt).toISOString() : null,
+      limitedUntil: account.limitedUntil > Date.now() ? new Date(account.limitedUntil).toISOString() : null,
+      inFlight: account.inFlight,
+      lastUsedAt: account.lastUsedAt ? new Date(account.lastUsedAt).toISOString() : null,
+      ...tokenRefresher.health(account),
+    };
+  }
+
+  function handleAdminStatus(ctx) {
+    if (ctx.request.method !== "GET") return textResponse(405, "Method not allowed");
+
+    return jsonResponse(200, {
+      startedAt: new Date(startedAt).toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      accountSelection: accountPool.strategy,
+      accounts: accountPool.accounts.map(accountView),
+      models: { path: modelCatalog.path, defaultModel: modelCatalog.current.defaultModel, data: modelCatalog.current.list().data },
+      ...traffic.snapshot(),
+    });
+  }
+
+  // GET /admin/accounts lists accounts; POST /admin/accounts adds or replaces accounts from a token file body
+  // (what scripts/oauth-login.js --proxy sends); POST /admin/accounts/{name}/refresh forces a token refresh;
+  // DELETE /admin/accounts/{name} removes an account.
+  async function handleAdminAccounts(ctx) {
+    const { request, url } = ctx;
+    if (url.pathname === "/admin/accounts") {
+      if (request.method === "GET") return jsonResponse(200, { object: "list", data: accountPool.accounts.map(accountView) });
+      if (request.method !== "POST") return textResponse(405, "Method not allowed");
+
+      let rawBody;
+      try {
+        rawBody = await readJsonBody(request, config.maxBodyMb);
+      } catch (error) {
+        return bodyErrorResponse(error);
+      }
+
+      const incoming = fromTokenFile(rawBody);
+      if (!incoming.length) {
+        return errorResponse(400, "Body must be a token record with refresh_token, or { accounts: [...] }", "invalid_request_error");
+      }
+
+      const saved = incoming.map((account) => {
+        const stored = accountPool.upsert({
+          ...account,
+          expiresAt: tokenExpiryMs(account.accessToken) || account.expiresAt,
+          accountId: account.accountId || extractAccountId(account.accessToken),
+        });
+        tokenRefresher.reset(stored);
+        return stored;
+      });
+      await saveAccounts();
+      adminLog.info("stored account tokens", { requestId: ctx.id, accounts: saved.map((account) => account.name) });
+      return jsonResponse(200, { object: "list", data: saved.map(accountView) });
+    }
+
+    const match = /^\/admin\/accounts\/([^/]+)(\/refresh)?$/.exec(url.pathname);
+    if (!match) return textResponse(404, "Not found");
+    const refresh = Boolean(match[2]);
+    if (request.method !== (refresh ? "POST" : "DELETE")) return textResponse(405, "Method not allowed");
+
+    const name = decodePathSegment(match[1]);
+    const account = accountPool.accounts.find((candidate) => candidate.name === name);
+    if (!account) return errorResponse(404, `No account named ${name ?? match[1]}`, "invalid_request_error", "account_not_found");
+
+    if (!refresh) {
+      if (accountPool.accounts.length === 1) {
+        return errorResponse(409, "Cannot remove the only account; replace its tokens instead", "invalid_request_error", "last_account");
+      }
+      accountPool.remove(account);
+      await saveAccounts();
+      adminLog.info("removed account", { requestId: ctx.id, account: account.name });
+      return jsonResponse(200, accountView(account));
+    }
+
+    try {
+      await tokenRefresher.refresh(account);
+      adminLog.info("refreshed token", { requestId: ctx.id, account: account.name });
+      return jsonResponse(200, accountView(account));
+    } catch (error) {
+      adminLog.warn("manual token refresh failed", { requestId: ctx.id, account: account.name, error });
+      return errorResponse(502, String(error.message || error), "upstream_error", "token_refresh_failed");
+    }
+  }
+
+  // GET /admin/proxy-secret shows where the master key comes from; POST rotates it. The body is
+  // { secret?, graceSeconds? }: without `secret` one is generated and returned once. The old secret keeps
+  // working for `graceSeconds` (default one hour) so clients can switch without downtime.
+  async function handleAdminProxySecret(ctx) {
+    const { request } = ctx;
+    if (request.method === "GET") return jsonResponse(200, proxySecret.status());
+    if (request.method !== "POST") return textResponse(405, "Method not allowed");
+
+    let rawBody;
+    try {
+      rawBody = await readJsonBody(request, config.maxBodyMb);
+    } catch (error) {
+      return bodyErrorResponse(error);
+    }
+
+    const source = isObject(rawBody) ? rawBody : {};
+    let rotated;
+    try {
+      rotated = await proxySecret.rotate({
+        secret: source.secret ?? undefined,
+        graceSeconds: source.graceSeconds === undefined ? 3600 : Number(source.graceSeconds),
+      });
+    } catch (error) {
+      return errorResponse(400, error.message, "invalid_request_error");
+    }
+
+    adminLog.info("rotated proxy secret", {
+      requestId: ctx.id,
+      generated: rotated.generated,
+      previousValidUntil: rotated.previousValidUntil,
+    });
+    return jsonResponse(200, { ...proxySecret.status(), ...(rotated.generated ? { secret: rotated.secret } : {}) });
+  }
+
+  // Accounts the token store has and the pool does not, or holds newer tokens for (edited by hand, or written
+  // by another process), are taken over. Accounts missing from the store stay; DELETE removes them.
+  async function reloadStoredAccounts() {
+    const changed = [];
+    for (const stored of await tokenStore.load()) {
+      const current = accountPool.accounts.find((account) => account.name === stored.name);
+      if (current && current.refreshToken === stored.refreshToken && current.accessToken === stored.accessToken) continue;
+      const account = accountPool.upsert({
+        ...stored,
+        expiresAt: tokenExpiryMs(stored.accessToken) || stored.expiresAt,
+        accountId: stored.accountId || extractAccountId(stored.accessToken) || current?.accountId,
+      });
+      tokenRefresher.reset(account);
+      changed.push(account.name);
+    }
+    return { updated: changed };
+  }
+
+  // POST /admin/reload re-reads the model catalog, the policy, client keys and stored tokens. Settings from the
+  // environment still need a restart. A part that fails to load keeps its previous state.
+  async function handleAdminReload(ctx) {
+    if (ctx.request.method !== "POST") return textResponse(405, "Method not allowed");
+
+    const parts = {
+      models:
+        modelCatalog.reload &&
+        (async () => {
+          await modelCatalog.reload();
+          return { path: modelCatalog.path, visibleModels: modelCatalog.current.list().data.length };
+        }),
+      policy:
+        policy.reload &&
+        (async () => {
+          await policy.reload();
+          return { path: policy.path };
+        }),
+      keys: async () => ({ keys: await keyRegistry.reload(), store: keyRegistry.description }),
+      accounts: async () => ({ ...(await reloadStoredAccounts()), store: tokenStore.description }),
+    };
+
+    const results = {};
+    for (const [name, reload] of Object.entries(parts)) {
+      if (!reload) {
+        results[name] = { reloaded: false, reason: "fixed at deploy time" };
+        continue;
+      }
+      try {
+        results[name] = { reloaded: true, ...(await reload()) };
+      } catch (error) {
+        adminLog.warn("reload failed", { requestId: ctx.id, part: name, error });
+        results[name] = { reloaded: false, error: String(error.message || error) };
+      }
+    }
+
+    const failed = Object.values(results).some((result) => result.error);
+    adminLog.info("reloaded configuration", { requestId: ctx.id, failed });
+    return failed ? withErrorCode(jsonResponse(422, results), "reload_failed") : jsonResponse(200, results);
+  }
+
+  // The dashboard assets are public; the data behind them needs ADMIN_SECRET, which the page asks for.
+  async function serveAdminAsset(name) {
+    const contentType = ADMIN_UI_ASSETS[name];
+    if (!contentType || !adminAsset) return null;
+    const body = await adminAsset(name);
+    if (body === null) return null;
+    return new Response(body, {
+      status: 200,
+      headers: {
+        "Content-Type": contentType,
+        "Cache-Control": "no-cache",
+        "Content-Security-Policy": "default-src 'self'; frame-ancestors 'none'",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  }
+
+  async function handleAdminUsage(ctx) {
+    if (ctx.request.method !== "GET") return textResponse(405, "Method not allowed");
+
+    const params = ctx.url.searchParams;
+    const groupBy = (params.get("group_by") || "day,key,model")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean);
+    const unknown = groupBy.find((field) => !USAGE_GROUP_FIELDS.includes(field));
+    if (unknown) {
+      return errorResponse(400, `Unknown group_by field ${unknown} (expected ${USAGE_GROUP_FIELDS.join(", ")})`, "invalid_request_error");
+    }
+
+    const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+    const from = params.get("from") || undefined;
+    const to = params.get("to") || undefined;
+    if ((from && !dayPattern.test(from)) || (to && !dayPattern.test(to))) {
+      return errorResponse(400, "from and to must be YYYY-MM-DD dates", "invalid_request_error");
+    }
+
+    const rows = await usageLog.report({
+      from,
+      to,
+      key: params.get("key") || undefined,
+      model: params.get("model") || undefined,
+      groupBy,
+    });
+
+    if (params.get("format") === "csv") {
+      return new Response(usageRowsToCsv(rows, groupBy), {
+        status: 200,
+        headers: {
+          ...corsHeaders(),
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="usage-${from || "start"}-${to || "now"}.csv"`,
+        },
+      });
+    }
+
+    return jsonResponse(200, { object: "list", from: from || null, to: to || null, group_by: groupBy, data: rows });
+  }
+
+  function handleHealth() {
+    const accounts = accountPool.accounts;
+    const refresh = accounts.map((account) => tokenRefresher.health(account));
+    // 503 once no account can get a token without a new login; degraded while refreshes are failing.
+    const status = refresh.every((health) => health.refreshState === "needs_login")
+      ? "unavailable"
+      : refresh.some((health) => health.refreshState !== "ok")
+        ? "degraded"
+        : "ok";
+    return jsonResponse(status === "unavailable" ? 503 : 200, {
+      status,
+      service,
+      tokenStatus: accountTokenStatus(accounts[0]),
+      ...(accounts.length > 1
+        ? {
+            accountSelection: accountPool.strategy,
+            accounts: accounts.map((account, index) => ({
+              name: account.name,
+              tokenStatus: accountTokenStatus(account),
+              limitedUntil: account.limitedUntil > Date.now() ? new Date(account.limitedUntil).toISOString() : null,
+              ...refresh[index],
+            })),
+          }
+        : refresh[0]),
+    });
+  }
+
+  // Ready while the proxy takes requests and some account can still get a token without a new login.
+  function handleReadiness() {
+    const status = draining
+      ? "draining"
+      : accountPool.accounts.every((account) => tokenRefresher.health(account).refreshState === "needs_login")
+        ? "unavailable"
+        : "ready";
+    return jsonResponse(status === "ready" ? 200 : 503, { status, service });
+  }
+
+  async function route(ctx) {
+    const { request, url } = ctx;
+    const { method } = request;
+
+    if (method === "OPTIONS") return new Response(null, { status: 204, headers: corsHeaders() });
+
+    if (method === "GET" && (url.pathname === "/" || url.pathname === "/health")) return handleHealth();
+    if (method === "GET" && url.pathname === "/health/live") return jsonResponse(200, { status: "ok", service });
+    if (method === "GET" && url.pathname === "/health/ready") return handleReadiness();
+
+    if (method === "GET" && url.pathname === "/metrics") {
+      if (config.metricsSecret && !presentedSecrets(request).includes(config.metricsSecret)) {
+        return textResponse(401, "Unauthorized");
+      }
+      return textResponse(200, metrics.render(), { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    }
+
+    if (method === "GET" && (url.pathname === "/v1/models" || url.pathname === "/openai/v1/models")) {
+      return jsonResponse(200, modelCatalog.current.list());
+    }
+
+    if (method === "POST" && (url.pathname === "/v1/responses" || url.pathname === "/openai/v1/responses")) {
+      return handleResponses(ctx);
+    }
+
+    if (url.pathname.startsWith("/v1/responses/") || url.pathname.startsWith("/openai/v1/responses/")) {
+      return handleStoredResponse(ctx);
+    }
+
+    if (method === "POST" && (url.pathname === "/v1/chat/completions" || url.pathname === "/openai/v1/chat/completions")) {
+      return handleChatCompletions(ctx);
+    }
+
+    if (method === "POST" && (url.pathname === "/v1/messages" || url.pathname === "/anthropic/v1/messages")) {
+      return handleAnthropicMessages(ctx);
+    }
+
+    if (method === "GET" && url.pathname === "/admin" && config.adminSecret) {
+      return new Response(null, { status: 302, headers: { Location: "/admin/" } });
+    }
+
+    if (method === "GET" && url.pathname.startsWith("/admin/") && config.adminSecret) {
+      const asset = await serveAdminAsset(url.pathname.slice("/admin/".length) || "index.html");
+      if (asset) return asset;
+    }
+
+    if (url.pathname.startsWith("/admin/")) {
+      if (!config.adminSecret) return textResponse(404, "Not found");
+      if (!isAdminRequest(request)) {
+        adminLog.warn("unauthorized", { requestId: ctx.id, path: url.pathname, ...getAuthDebugInfo(request) });
+        return textResponse(401, "Unauthorized");
+      }
+
+      if (url.pathname === "/admin/keys" || url.pathname.startsWith("/admin/keys/")) return handleAdminKeys(ctx);
+      if (url.pathname === "/admin/usage") return handleAdminUsage(ctx);
+      if (url.pathname === "/admin/policy/dry-run") return handleAdminPolicyDryRun(ctx);
+      if (url.pathname === "/admin/status") return handleAdminStatus(ctx);
+      if (url.pathname === "/admin/accounts" || url.pathname.startsWith("/admin/accounts/")) return handleAdminAccounts(ctx);
+      if (url.pathname === "/admin/proxy-secret") return handleAdminProxySecret(ctx);
+      if (url.pathname === "/admin/reload") return handleAdminReload(ctx);
+    }
+
+    return textResponse(404, "Not found");
+  }
+
+  // Requests whose response body has not finished yet; drain() waits for them.
+  let inFlightRequests = 0;
+  let draining = false;
+  const drainWaiters = [];
+
+  const requestFinished = () => {
+    inFlightRequests -= 1;
+    if (draining && inFlightRequests === 0) drainWaiters.splice(0).forEach((resolve) => resolve());
+  };
+
+  return {
+    async fetch(request) {
+      inFlightRequests += 1;
+      const closeHandlers = [];
+      const ctx = {
+        id: requestIdFor(request),
+        request,
+        url: new URL(request.url),
+        startedAt: performance.now(),
+        // Merged into whatever response the route returns.
+        headers: new Headers(),
+        onClose: (handler) => closeHandlers.push(handler),
+      };
+      ctx.headers.set("x-request-id", ctx.id);
+
+      let response;
+      try {
+        response =
+          draining && !HEALTH_PATHS.has(ctx.url.pathname)
+            ? errorResponse(503, "The proxy is shutting down. Please retry.", "server_error", "shutting_down")
+            : await route(ctx);
+      } catch (error) {
+        logger.error("unhandled error", { requestId: ctx.id, path: ctx.url.pathname, error });
+        response = jsonResponse(500, { error: "internal_error", message: String(error) });
+      }
+
+      const headers = new Headers(response.headers);
+      for (const [name, value] of ctx.headers) headers.set(name, value);
+      // Keep-alive clients reconnect, and reach whatever replaces this process.
+      if (draining) headers.set("Connection", "close");
+      const outcome = { status: response.status, errorCode: errorCodes.get(response) };
+      return watchBody(response, headers, ({ aborted, bytes }) => {
+        requestFinished();
+        for (const handler of closeHandlers) {
+          try {
+            handler({ ...outcome, aborted, bytes });
+          } catch (error) {
+            logger.error("request close handler failed", { requestId: ctx.id, error });
+          }
+        }
+      });
+    },
+
+    // Background token refresh; runtimes without long-lived timers skip it and refresh on demand.
+    start() {
+      tokenRefresher.start();
+    },
+
+    // Answers new requests (except health checks) with 503 and resolves once every in-flight request, open
+    // streams included, has finished. How long to wait is up to the caller.
+    drain() {
+      draining = true;
+      logger.info("draining", { activeRequests: inFlightRequests });
+      return new Promise((resolve) => {
+        if (inFlightRequests === 0) resolve();
+        else drainWaiters.push(resolve);
+      });
+    },
+
+    get activeRequests() {
+      return inFlightRequests;
+    },
+
+    async stop() {
+      tokenRefresher.stop();
+      await keyRegistry.flush();
+    },
+  };
+}
@@ -0,0 +1,104 @@
+const WINDOW_MS = 60_000;
+
+// OpenAI formats reset times like "20ms", "1.5s" or "6m0s".
+export function formatResetDuration(ms) {
+  const rounded = Math.max(Math.ceil(ms), 0);
+  if (rounded < 1000) return `${rounded}ms`;
+  const seconds = rounded / 1000;
+  if (seconds < 60) return `${Number(seconds.toFixed(3))}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m${Number((seconds - minutes * 60).toFixed(3))}s`;
+}
+
+// Refills continuously at `limit` units per minute; token usage may drive it negative.
+function createBucket(limit) {
+  let level = limit;
+  let updatedAt = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    level = Math.min(limit, level + ((now - updatedAt) / WINDOW_MS) * limit);
+    updatedAt = now;
+  };
+
+  return {
+    limit,
+    remaining() {
+      refill();
+      return Math.max(Math.floor(level), 0);
+    },
+    msUntil(amount) {
+      refill();
+      return level >= amount ? 0 : Math.ceil(((amount - level) / limit) * WINDOW_MS);
+    },
+    msUntilFull() {
+      refill();
+      return Math.ceil(((limit - level) / limit) * WINDOW_MS);
+    },
+    take(amount) {
+      refill();
+      level -= amount;
+    },
+  };
+}
+
+function positiveLimit(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+}
+
+export function createRateLimiter() {
+  const buckets = new Map();
+
+  const bucketFor = (id, kind, limit) => {
+    if (!limit) return null;
+    const key = `${kind}:${id}`;
+    let bucket = buckets.get(key);
+    if (!bucket || bucket.limit !== limit) {
+      bucket = createBucket(limit);
+      buckets.set(key, bucket);
+    }
+    return bucket;
+  };
+
+  const bucketsFor = (id, limits) => ({
+    requests: bucketFor(id, "requests", positiveLimit(limits.requestsPerMinute)),
+    tokens: bucketFor(id, "tokens", positiveLimit(limits.tokensPerMinute)),
+  });
+
+  return {
+    // Reports how long the caller must wait for one request and one token, without consuming either.
+    inspect(id, limits) {
+      const { requests, tokens } = bucketsFor(id, limits);
+      const requestWaitMs = requests ? requests.msUntil(1) : 0;
+      const tokenWaitMs = tokens ? tokens.msUntil(1) : 0;
+
+      const headers = {};
+      if (requests) {
+        headers["x-ratelimit-limit-requests"] = String(requests.limit);
+        headers["x-ratelimit-remaining-requests"] = String(requests.remaining());
+        headers["x-ratelimit-reset-requests"] = formatResetDuration(requests.msUntilFull());
+      }
+      if (tokens) {
+        headers["x-ratelimit-limit-tokens"] = String(tokens.limit);
+        headers["x-ratelimit-remaining-tokens"] = String(tokens.remaining());
+        headers["x-ratelimit-reset-tokens"] = formatResetDuration(tokens.msUntilFull());
+      }
+
+      return {
+        waitMs: Math.max(requestWaitMs, tokenWaitMs),
+        limitedBy: requestWaitMs >= tokenWaitMs ? "requests" : "tokens",
+        limit: requestWaitMs >= tokenWaitMs ? requests?.limit : tokens?.limit,
+        headers,
+      };
+    },
+
+    takeRequest(id, limits) {
+      bucketsFor(id, limits).requests?.take(1);
+    },
+
+    takeTokens(id, limits, amount) {
+      if (amount > 0) bucketsFor(id, limits).tokens?.take(amount);
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { createHash } from "node:crypto";
+import { join } from "node:path";
+import { writeJsonFileAtomic } from "./json-file.mjs";
+import { SENSITIVE_HEADERS, logger } from "./logger.mjs";
+import { isObject } from "./utils.mjs";
+
+const REDACTED_HEADERS = new Set([...SENSITIVE_HEADERS, "chatgpt-account-id"]);
+const log = logger.child({ component: "recorder" });
+
+// Accepts fetch Headers or Node's incoming header object.
+export function sanitizeHeaders(headers) {
+  const entries = typeof headers?.entries === "function" ? [...headers.entries()] : Object.entries(headers || {});
+  return Object.fromEntries(
+    entries.map(([name, value]) => [name.toLowerCase(), REDACTED_HEADERS.has(name.toLowerCase()) ? "[redacted]" : value]),
+  );
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (isObject(value)) {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Replay matches requests on this, so key order in the upstream body does not matter.
+export function upstreamBodyHash(body) {
+  return createHash("sha256").update(stableStringify(body)).digest("hex");
+}
+
+export function createRecorder(dir) {
+  return {
+    dir,
+
+    // Copies the upstream body into the recording as the route reads it; the file is written once `closed`
+    // resolves (the client response has ended), so a client that disconnects mid-stream still leaves a
+    // (partial) transcript behind. Request and upstream headers in `entry` are redacted here.
+    record(entry, upstream, closed) {
+      const decoder = new TextDecoder();
+      let transcript = "";
+      let complete = !upstream.body;
+
+      const body = upstream.body?.pipeThrough(
+        new TransformStream({
+          transform(chunk, controller) {
+            transcript += decoder.decode(chunk, { stream: true });
+            controller.enqueue(chunk);
+          },
+          flush() {
+            transcript += decoder.decode();
+            complete = true;
+          },
+        }),
+      );
+
+      closed.then(() => {
+        const recording = {
+          ...entry,
+          recordedAt: new Date().toISOString(),
+          request: { ...entry.request, headers: sanitizeHeaders(entry.request.headers) },
+          upstream: {
+            ...entry.upstream,
+            headers: sanitizeHeaders(entry.upstream.headers),
+            bodyHash: upstreamBodyHash(entry.upstream.body),
+          },
+          response: {
+            status: upstream.status,
+            headers: sanitizeHeaders(upstream.headers),
+            complete,
+            transcript,
+          },
+        };
+        writeJsonFileAtomic(join(dir, `${entry.id}.json`), recording).catch((error) => {
+          log.warn("failed to save recording", { requestId: entry.id, error });
+        });
+      });
+
+      return new Response(body, { status: upstream.status, headers: upstream.headers });
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import { createHash } from "node:crypto";
+import { parseSSE } from "./sse.mjs";
+import { isObject } from "./utils.mjs";
+
+// The parts of a normalized request that decide what the model answers. `owner` keeps keys from
+// sharing entries.
+export function responseCacheKey(owner, body) {
+  const { model, instructions, input, tools, tool_choice, parallel_tool_calls, reasoning, text, include } = body;
+  const material = { owner, model, instructions, input, tools, tool_choice, parallel_tool_calls, reasoning, text, include };
+  return createHash("sha256").update(JSON.stringify(material)).digest("hex");
+}
+
+// Only transcripts that ran to response.completed are worth replaying.
+function isCompleteTranscript(text) {
+  return parseSSE(text).some(({ data }) => isObject(data) && data.type === "response.completed");
+}
+
+const encoder = new TextEncoder();
+
+// LRU cache of upstream SSE transcripts, bounded by entry count and total size.
+export function createResponseCache({ maxEntries = 500, maxBytes = 50 * 1024 * 1024, ttlMs = 3600_000 } = {}) {
+  const entries = new Map();
+  let bytes = 0;
+
+  const drop = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.bytes;
+  };
+
+  const set = (key, transcript) => {
+    const size = encoder.encode(transcript).byteLength;
+    if (size > maxBytes || !isCompleteTranscript(transcript)) return;
+    drop(key);
+    entries.set(key, { transcript, bytes: size, expiresAt: Date.now() + ttlMs });
+    bytes += size;
+    while (entries.size > maxEntries || bytes > maxBytes) drop(entries.keys().next().value);
+  };
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    get bytes() {
+      return bytes;
+    },
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        drop(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.transcript;
+    },
+
+    set,
+
+    // Passes an upstream SSE body through unchanged and caches it once it has been read to the end.
+    // A stream the client abandons is never cached.
+    capture(key, stream) {
+      const decoder = new TextDecoder();
+      let text = "";
+      return stream.pipeThrough(
+        new TransformStream({
+          transform(chunk, controller) {
+            if (text.length <= maxBytes) text += decoder.decode(chunk, { stream: true });
+            controller.enqueue(chunk);
+          },
+          flush() {
+            text += decoder.decode();
+            set(key, text);
+          },
+        }),
+      );
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import { readdir, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { readJsonFile, writeJsonFileAtomic } from "./json-file.mjs";
+import { logger } from "./logger.mjs";
+import { isObject } from "./utils.mjs";
+
+const log = logger.child({ component: "responses" });
+
+// Response store persistence with one `<dir>/<id>.json` file per entry. Entries older than `ttlMs`
+// are pruned when the directory is opened.
+export async function openResponseDir(dir, { ttlMs }) {
+  const pathFor = (id) => join(dir, `${id}.json`);
+
+  let removed = 0;
+  for (const name of await readdir(dir).catch(() => [])) {
+    if (!name.endsWith(".json")) continue;
+    const entry = await readJsonFile(join(dir, name), null).catch(() => null);
+    if (!isObject(entry) || Date.parse(entry.createdAt) + ttlMs < Date.now()) {
+      await rm(join(dir, name), { force: true });
+      removed += 1;
+    }
+  }
+  if (removed) log.info("pruned expired responses", { dir, removed });
+
+  return {
+    description: `dir:${dir}`,
+
+    async read(id) {
+      return readJsonFile(pathFor(id), null);
+    },
+
+    async write(entry) {
+      await writeJsonFileAtomic(pathFor(entry.id), entry);
+    },
+
+    // Resolves to whether a file was there to remove.
+    async remove(id) {
+      try {
+        await rm(pathFor(id));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { logger } from "./logger.mjs";
+import { isObject } from "./utils.mjs";
+
+const ID_PATTERN = /^[\w-]{1,128}$/;
+const log = logger.child({ component: "responses" });
+
+// Codex runs with store=false, so reasoning can only be replayed with its encrypted content, and
+// item ids from earlier turns mean nothing to the upstream.
+function replayItem(item) {
+  if (!isObject(item)) return null;
+  if (item.type === "reasoning" && !item.encrypted_content) return null;
+  const { id: _id, ...rest } = item;
+  return rest;
+}
+
+// Everything the upstream has to see again to continue after this response.
+export function conversationHistory(entry) {
+  return [...entry.history, ...entry.input, ...entry.output.map(replayItem).filter(Boolean)];
+}
+
+// Stored responses keyed by response id: { id, owner, createdAt, history, input, output, response }.
+// The newest `maxEntries` stay in memory; with `persistence` ({ read, write, remove }, see
+// response-store-file.mjs) every entry is also saved there and read back when it is no longer cached.
+export function createResponseStore({ maxEntries = 1000, ttlMs = 30 * 24 * 3600_000, persistence = null } = {}) {
+  const cache = new Map();
+  const expired = (entry) => Date.parse(entry.createdAt) + ttlMs < Date.now();
+
+  const remember = (entry) => {
+    cache.delete(entry.id);
+    cache.set(entry.id, entry);
+    while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  };
+
+  const remove = async (id) => {
+    const had = cache.delete(id);
+    if (!persistence) return had;
+    return (await persistence.remove(id)) || had;
+  };
+
+  return {
+    async get(id) {
+      if (!ID_PATTERN.test(id || "")) return null;
+      let entry = cache.get(id);
+      if (!entry && persistence) entry = (await persistence.read(id).catch(() => null)) ?? undefined;
+      if (!isObject(entry)) return null;
+      if (expired(entry)) {
+        await remove(id);
+        return null;
+      }
+      remember(entry);
+      return entry;
+    },
+
+    async save(entry) {
+      if (!ID_PATTERN.test(entry.id || "")) return;
+      remember(entry);
+      if (!persistence) return;
+      try {
+        await persistence.write(entry);
+      } catch (error) {
+        log.warn("failed to persist response", { id: entry.id, store: persistence.description, error });
+      }
+    },
+
+    async delete(id) {
+      if (!ID_PATTERN.test(id || "")) return false;
+      return remove(id);
+    },
+  };
+}
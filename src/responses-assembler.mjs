@@ -0,0 +1,241 @@
+import { asString, isObject } from "./utils.mjs";
+
+const STATUS_BY_ERROR = {
+  invalid_request_error: 400,
+  invalid_prompt: 400,
+  context_length_exceeded: 400,
+  content_policy_violation: 400,
+  unsupported_parameter: 400,
+  authentication_error: 401,
+  invalid_api_key: 401,
+  permission_error: 403,
+  model_not_found: 404,
+  not_found_error: 404,
+  rate_limit_exceeded: 429,
+  rate_limit_error: 429,
+  usage_limit_reached: 429,
+  insufficient_quota: 429,
+  server_error: 500,
+  internal_error: 500,
+  api_error: 500,
+  server_is_overloaded: 503,
+  slow_down: 503,
+  overloaded_error: 503,
+};
+
+// Extracts the upstream error object from a `response.failed` or `error` event, or null for any other event.
+export function upstreamErrorFromEvent(data) {
+  if (!isObject(data)) return null;
+  if (data.type === "response.failed") return isObject(data.response?.error) ? data.response.error : {};
+  if (data.type === "error") return isObject(data.error) ? data.error : data;
+  return null;
+}
+
+// The HTTP status the official API uses for an upstream error; unknown failures count as server errors.
+export function upstreamErrorStatus(error) {
+  const code = asString(error?.code);
+  const type = asString(error?.type);
+  return STATUS_BY_ERROR[code] || STATUS_BY_ERROR[type] || 500;
+}
+
+function openAIError(error) {
+  const status = upstreamErrorStatus(error);
+  const type = asString(error.type);
+  return {
+    status,
+    error: {
+      message: asString(error.message) || "Upstream response failed",
+      type: type && type !== "error" ? type : status >= 500 ? "server_error" : "invalid_request_error",
+      param: error.param ?? null,
+      code: error.code ?? null,
+    },
+  };
+}
+
+// A `done` item is authoritative, except that Codex sometimes leaves out content it already streamed.
+function mergeDoneItem(current, done) {
+  if (!isObject(current)) return { ...done };
+  const merged = { ...current, ...done };
+  for (const field of ["content", "summary"]) {
+    if (Array.isArray(current[field]) && current[field].length && !done[field]?.length) merged[field] = current[field];
+  }
+  if (typeof current.arguments === "string" && typeof done.arguments !== "string") merged.arguments = current.arguments;
+  return merged;
+}
+
+function outputText(output) {
+  return output
+    .filter((item) => item.type === "message")
+    .flatMap((item) => item.content || [])
+    .filter((part) => part.type === "output_text")
+    .map((part) => part.text)
+    .join("");
+}
+
+// Rebuilds the final Responses object from stream events, one event at a time.
+export function createResponseAssembler() {
+  const output = [];
+  let started = null;
+  let final = null;
+  let error = null;
+
+  const itemFor = (data, create) => {
+    let index = Number.isInteger(data.output_index) ? data.output_index : output.findIndex((item) => item?.id === data.item_id);
+    if (index === -1) index = output.length;
+    if (!output[index] && create) output[index] = create();
+    return output[index];
+  };
+
+  const messageItem = (data) => () => ({ id: data.item_id, type: "message", role: "assistant", status: "in_progress", content: [] });
+  const reasoningItem = (data) => () => ({ id: data.item_id, type: "reasoning", summary: [] });
+
+  const partFor = (item, field, index, create) => {
+    if (!item) return null;
+    if (!Array.isArray(item[field])) item[field] = [];
+    const position = Number.isInteger(index) ? index : item[field].length;
+    if (!item[field][position]) item[field][position] = create();
+    return item[field][position];
+  };
+
+  const textPart = (data) =>
+    partFor(itemFor(data, messageItem(data)), "content", data.content_index, () => ({
+      type: "output_text",
+      text: "",
+      annotations: [],
+    }));
+
+  return {
+    push(data) {
+      if (!isObject(data)) return;
+
+      switch (data.type) {
+        case "response.created":
+        case "response.in_progress":
+          if (isObject(data.response)) started = { ...data.response };
+          break;
+
+        case "response.output_item.added":
+          if (isObject(data.item)) output[data.output_index ?? output.length] = structuredClone(data.item);
+          break;
+
+        case "response.output_item.done":
+          if (isObject(data.item)) {
+            const index = data.output_index ?? output.findIndex((item) => item?.id === data.item.id);
+            output[index === -1 ? output.length : index] = mergeDoneItem(output[index], data.item);
+          }
+          break;
+
+        case "response.content_part.added":
+        case "response.content_part.done":
+          if (isObject(data.part)) {
+            const item = itemFor(data, messageItem(data));
+            const part = partFor(item, "content", data.content_index, () => ({}));
+            Object.assign(part, data.part);
+          }
+          break;
+
+        case "response.output_text.delta": {
+          const part = textPart(data);
+          part.text = (part.text || "") + (asString(data.delta) || "");
+          break;
+        }
+
+        case "response.output_text.done":
+          if (typeof data.text === "string") textPart(data).text = data.text;
+          break;
+
+        case "response.output_text.annotation.added": {
+          const part = textPart(data);
+          if (!Array.isArray(part.annotations)) part.annotations = [];
+          part.annotations[data.annotation_index ?? part.annotations.length] = data.annotation;
+          break;
+        }
+
+        case "response.refusal.delta":
+        case "response.refusal.done": {
+          const item = itemFor(data, messageItem(data));
+          const part = partFor(item, "content", data.content_index, () => ({ type: "refusal", refusal: "" }));
+          part.refusal = data.type === "response.refusal.done" ? data.refusal : (part.refusal || "") + (data.delta || "");
+          break;
+        }
+
+        case "response.function_call_arguments.delta": {
+          const item = itemFor(data);
+          if (item) item.arguments = (item.arguments || "") + (asString(data.delta) || "");
+          break;
+        }
+
+        case "response.function_call_arguments.done": {
+          const item = itemFor(data);
+          if (item && typeof data.arguments === "string") item.arguments = data.arguments;
+          break;
+        }
+
+        case "response.reasoning_summary_part.added":
+        case "response.reasoning_summary_part.done": {
+          const part = partFor(itemFor(data, reasoningItem(data)), "summary", data.summary_index, () => ({}));
+          if (isObject(data.part)) Object.assign(part, data.part);
+          break;
+        }
+
+        case "response.reasoning_summary_text.delta":
+        case "response.reasoning_summary_text.done": {
+          const item = itemFor(data, reasoningItem(data));
+          const part = partFor(item, "summary", data.summary_index, () => ({ type: "summary_text", text: "" }));
+          part.text = data.type.endsWith(".done") ? data.text : (part.text || "") + (data.delta || "");
+          break;
+        }
+
+        case "response.reasoning_text.delta":
+        case "response.reasoning_text.done": {
+          const item = itemFor(data, reasoningItem(data));
+          const part = partFor(item, "content", data.content_index, () => ({ type: "reasoning_text", text: "" }));
+          part.text = data.type.endsWith(".done") ? data.text : (part.text || "") + (data.delta || "");
+          break;
+        }
+
+        case "response.web_search_call.in_progress":
+        case "response.web_search_call.searching":
+        case "response.web_search_call.completed": {
+          const item = itemFor(data, () => ({ id: data.item_id, type: "web_search_call" }));
+          item.status = data.type.slice("response.web_search_call.".length);
+          break;
+        }
+
+        case "response.completed":
+        case "response.incomplete":
+        case "response.failed":
+          if (isObject(data.response)) final = { ...data.response };
+          if (data.type === "response.failed") error = upstreamErrorFromEvent(data);
+          break;
+
+        case "error":
+          error = upstreamErrorFromEvent(data);
+          break;
+
+        default:
+          break;
+      }
+    },
+
+    // { status, error } for an upstream failure, { response } once the stream completed, else {}.
+    result() {
+      if (error) return openAIError(error);
+      if (!final) return {};
+
+      const assembled = output.filter(Boolean);
+      const response = {
+        ...started,
+        ...final,
+        output: Array.isArray(final.output) && final.output.length ? final.output : assembled,
+      };
+      return { response: { ...response, output_text: outputText(response.output) } };
+    },
+  };
+}
+
+export function buildResponseFromEvents(events) {
+  const assembler = createResponseAssembler();
+  for (const entry of events) assembler.push(entry.data);
+  return assembler.result();
+}
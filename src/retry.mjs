@@ -0,0 +1,81 @@
+import { parseSSE } from "./sse.mjs";
+import { asString, isObject } from "./utils.mjs";
+
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(["server_error", "internal_error", "server_is_overloaded", "slow_down"]);
+const TERMINAL_EVENTS = new Set(["response.completed", "response.incomplete"]);
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+// Retry-After may be delta-seconds or an HTTP date.
+export function parseRetryAfterMs(headers) {
+  const value = headers.get("retry-after");
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(date - Date.now(), 0) : undefined;
+}
+
+export function createRetryPolicy({ maxRetries = 2, baseDelayMs = 500, maxDelayMs = 8_000 } = {}) {
+  return {
+    maxRetries,
+
+    // Exponential backoff with full jitter; null when the attempt budget or maxDelayMs is exceeded.
+    delayFor(attempt, retryAfterMs) {
+      if (attempt >= maxRetries) return null;
+      if (retryAfterMs !== undefined && retryAfterMs > maxDelayMs) return null;
+      const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const jittered = Math.round(Math.random() * ceiling);
+      return Math.max(jittered, retryAfterMs ?? 0);
+    },
+  };
+}
+
+// Inspects a fully buffered upstream SSE transcript for failures worth retrying.
+export function transcriptFailure(text) {
+  let failure = { kind: "stream_truncated", detail: "upstream stream ended without a terminal event" };
+
+  for (const { data } of parseSSE(text)) {
+    if (!isObject(data)) continue;
+    if (TERMINAL_EVENTS.has(data.type)) return null;
+
+    const error = data.type === "response.failed" ? data.response?.error : data.type === "error" ? data.error || data : null;
+    if (isObject(error)) {
+      const code = asString(error.code) || asString(error.type) || "";
+      if (!RETRYABLE_ERROR_CODES.has(code)) return null;
+      failure = { kind: "stream_failed", detail: `${code}: ${asString(error.message) || "upstream response failed"}` };
+    }
+  }
+
+  return failure;
+}
+
+// Reads the first chunk up front so a connection that dies before any output can still be retried.
+export async function withFirstChunk(stream) {
+  const reader = stream.getReader();
+  const first = await reader.read();
+
+  return new ReadableStream({
+    start(controller) {
+      if (first.done) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(first.value);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
@@ -0,0 +1,79 @@
+const BLOCK_SEPARATOR = /\r?\n\r?\n/;
+
+// One SSE block -> { event, data, text, raw }; data is the parsed JSON payload, or undefined when it is not JSON.
+function parseBlock(block) {
+  let event = "message";
+  const dataLines = [];
+
+  for (const rawLine of block.split(/\r?\n/)) {
+    if (!rawLine || rawLine.startsWith(":")) continue;
+    const colon = rawLine.indexOf(":");
+    const field = colon === -1 ? rawLine : rawLine.slice(0, colon);
+    const value = colon === -1 ? "" : rawLine.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") event = value.trim() || "message";
+    else if (field === "data") dataLines.push(value);
+  }
+
+  if (!dataLines.length) return null;
+  const text = dataLines.join("\n");
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = undefined;
+  }
+  return { event, data, text, raw: `${block}\n\n` };
+}
+
+// Incremental decoder: feed raw chunks, get back the events whose blocks are complete.
+export function createSSEDecoder() {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const drain = () => {
+    const events = [];
+    let match;
+    while ((match = BLOCK_SEPARATOR.exec(buffer))) {
+      const entry = parseBlock(buffer.slice(0, match.index));
+      buffer = buffer.slice(match.index + match[0].length);
+      if (entry) events.push(entry);
+    }
+    return events;
+  };
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+      return drain();
+    },
+    flush() {
+      buffer += decoder.decode();
+      const events = drain();
+      const rest = buffer.trim() ? parseBlock(buffer.trimEnd()) : null;
+      if (rest) events.push(rest);
+      buffer = "";
+      return events;
+    },
+  };
+}
+
+// Whole-transcript convenience over the decoder; events without a JSON payload are dropped.
+export function parseSSE(text) {
+  const decoder = createSSEDecoder();
+  return [...decoder.push(text), ...decoder.flush()].filter((entry) => entry.data !== undefined);
+}
+
+export async function* readSSEEvents(stream) {
+  const decoder = createSSEDecoder();
+  for await (const chunk of stream) {
+    yield* decoder.push(chunk);
+  }
+  yield* decoder.flush();
+}
+
+export const SSE_HEARTBEAT = ": keep-alive\n\n";
+
+export function formatSSE(data, event) {
+  const payload = typeof data === "string" ? data : JSON.stringify(data);
+  return event ? `event: ${event}\ndata: ${payload}\n\n` : `data: ${payload}\n\n`;
+}
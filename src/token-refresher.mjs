@@ -0,0 +1,140 @@
+import { logger } from "./logger.mjs";
+
+const TICK_MS = 15_000;
+// Below this, a request refreshes the token itself instead of using it.
+const MIN_VALIDITY_MS = 60_000;
+const log = logger.child({ component: "tokens" });
+
+// The OAuth server answers a dead, revoked or already-rotated refresh token with 400/401; anything else
+// (network errors, 5xx) may pass.
+function needsLogin(error) {
+  return error?.status === 400 || error?.status === 401;
+}
+
+// Refreshes access tokens ahead of expiry and serializes refreshes per account, so two requests never
+// race on a rotated refresh token. `refresh(account)` performs the actual token request; `onAlert` is
+// called with { event, account, error } when an account needs a new login and when it recovers.
+export function createTokenRefresher({
+  accounts,
+  refresh,
+  aheadMs = 5 * 60_000,
+  jitterMs = 60_000,
+  retryBaseMs = 5_000,
+  retryMaxMs = 5 * 60_000,
+  onAlert = () => {},
+}) {
+  const states = new WeakMap();
+  let timer = null;
+
+  const stateOf = (account) => {
+    let state = states.get(account);
+    if (!state) {
+      state = { state: "ok", failures: 0, lastError: null, lastRefreshAt: null, retryAt: 0, jitter: Math.random() * jitterMs };
+      states.set(account, state);
+    }
+    return state;
+  };
+
+  const run = async (account) => {
+    const state = stateOf(account);
+    try {
+      await refresh(account);
+      const recovered = state.state === "needs_login";
+      Object.assign(state, {
+        state: "ok",
+        failures: 0,
+        lastError: null,
+        lastRefreshAt: Date.now(),
+        retryAt: 0,
+        jitter: Math.random() * jitterMs,
+      });
+      if (recovered) onAlert({ event: "recovered", account });
+      return account;
+    } catch (error) {
+      state.failures += 1;
+      state.lastError = String(error?.message || error);
+      const backoff = Math.min(retryBaseMs * 2 ** (state.failures - 1), retryMaxMs);
+      state.retryAt = Date.now() + backoff / 2 + Math.random() * (backoff / 2);
+
+      const previous = state.state;
+      state.state = needsLogin(error) ? "needs_login" : "degraded";
+      log.warn("token refresh failed", {
+        account: account.name,
+        failures: state.failures,
+        state: state.state,
+        retryInMs: Math.round(state.retryAt - Date.now()),
+        error,
+      });
+      if (state.state === "needs_login" && previous !== "needs_login") onAlert({ event: "relogin_required", account, error });
+      throw error;
+    }
+  };
+
+  const inFlight = new Map();
+
+  // Joins the refresh already running for this account, if any.
+  const refreshNow = (account) => {
+    let pending = inFlight.get(account);
+    if (!pending) {
+      pending = run(account).finally(() => inFlight.delete(account));
+      inFlight.set(account, pending);
+    }
+    return pending;
+  };
+
+  const isDue = (account, now) => {
+    const state = stateOf(account);
+    if (inFlight.has(account) || state.retryAt > now) return false;
+    return !account.accessToken || account.expiresAt - now <= aheadMs + state.jitter;
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    for (const account of accounts()) {
+      if (isDue(account, now)) refreshNow(account).catch(() => {});
+    }
+  };
+
+  return {
+    refresh: refreshNow,
+
+    // What a request uses: the current token while it is comfortably valid, else a (shared) refresh.
+    async ensureFresh(account) {
+      if (account.accessToken && account.expiresAt > Date.now() + MIN_VALIDITY_MS) return account;
+      // Requests do not hammer the token endpoint with a refresh token it already rejected.
+      const state = stateOf(account);
+      if (state.state === "needs_login" && state.retryAt > Date.now()) {
+        throw new Error(`account ${account.name} needs a new login: ${state.lastError}`);
+      }
+      return refreshNow(account);
+    },
+
+    // New tokens were supplied from outside (login script, admin API): forget earlier failures.
+    reset(account) {
+      states.delete(account);
+    },
+
+    health(account) {
+      const state = stateOf(account);
+      return {
+        refreshState: state.state,
+        refreshFailures: state.failures,
+        lastRefreshError: state.lastError,
+        lastRefreshAt: state.lastRefreshAt ? new Date(state.lastRefreshAt).toISOString() : null,
+        nextRefreshRetryAt: state.retryAt > Date.now() ? new Date(state.retryAt).toISOString() : null,
+      };
+    },
+
+    start() {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, TICK_MS);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
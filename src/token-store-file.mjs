@@ -0,0 +1,14 @@
+import { readJsonFile, writeJsonFileAtomic } from "./json-file.mjs";
+import { fromTokenFile, toTokenFile } from "./token-store.mjs";
+
+export function createFileTokenStore(path) {
+  return {
+    description: `file:${path}`,
+    async load() {
+      return fromTokenFile(await readJsonFile(path, null));
+    },
+    async save(accounts) {
+      await writeJsonFileAtomic(path, toTokenFile(accounts));
+    },
+  };
+}
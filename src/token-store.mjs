@@ -0,0 +1,93 @@
+import { asString, isObject } from "./utils.mjs";
+
+export const DEFAULT_ACCOUNT_NAME = "default";
+
+// Persisted tokens use the same snake_case shape scripts/oauth-login.js writes to .tokens.json.
+function toTokenRecord(state, now) {
+  return {
+    access_token: state.accessToken,
+    refresh_token: state.refreshToken,
+    ...(state.idToken ? { id_token: state.idToken } : {}),
+    ...(state.envRefreshTokenHash ? { env_refresh_token_hash: state.envRefreshTokenHash } : {}),
+    expires_in: Math.max(Math.round((state.expiresAt - now) / 1000), 0),
+    chatgpt_account_id: state.accountId,
+    obtained_at: new Date(now).toISOString(),
+  };
+}
+
+function fromTokenRecord(data, fallbackName) {
+  if (!isObject(data)) return null;
+  const name = asString(data.name) || fallbackName;
+
+  // Older Worker deployments cached the in-memory camelCase shape in KV.
+  if (typeof data.refreshToken === "string") {
+    return {
+      name,
+      accessToken: asString(data.accessToken) || "",
+      refreshToken: data.refreshToken,
+      expiresAt: Number(data.expiresAt) || 0,
+      accountId: asString(data.accountId),
+      envRefreshTokenHash: asString(data.envRefreshTokenHash),
+    };
+  }
+
+  const refreshToken = asString(data.refresh_token);
+  if (!refreshToken) return null;
+
+  const obtainedAt = Date.parse(asString(data.obtained_at) || "");
+  const expiresIn = Number(data.expires_in);
+  return {
+    name,
+    accessToken: asString(data.access_token) || "",
+    refreshToken,
+    idToken: asString(data.id_token),
+    expiresAt: Number.isFinite(obtainedAt) && Number.isFinite(expiresIn) ? obtainedAt + expiresIn * 1000 : 0,
+    accountId: asString(data.chatgpt_account_id),
+    envRefreshTokenHash: asString(data.env_refresh_token_hash),
+  };
+}
+
+// A single default account keeps the plain .tokens.json shape; pools use { accounts: [...] }.
+export function toTokenFile(accounts, now = Date.now()) {
+  if (accounts.length === 1 && accounts[0].name === DEFAULT_ACCOUNT_NAME) {
+    return toTokenRecord(accounts[0], now);
+  }
+  return {
+    accounts: accounts.map((account) => ({ name: account.name, ...toTokenRecord(account, now) })),
+  };
+}
+
+export function fromTokenFile(data) {
+  if (isObject(data) && Array.isArray(data.accounts)) {
+    return data.accounts
+      .map((entry, index) => fromTokenRecord(entry, `account-${index + 1}`))
+      .filter((account) => account !== null);
+  }
+  const single = fromTokenRecord(data, DEFAULT_ACCOUNT_NAME);
+  return single ? [single] : [];
+}
+
+export function createMemoryTokenStore() {
+  let saved = [];
+  return {
+    description: "memory",
+    async load() {
+      return saved;
+    },
+    async save(accounts) {
+      saved = accounts.map((account) => ({ ...account }));
+    },
+  };
+}
+
+export function createKvTokenStore(kv, key = "tokens") {
+  return {
+    description: `kv:${key}`,
+    async load() {
+      return fromTokenFile(await kv.get(key, "json"));
+    },
+    async save(accounts) {
+      await kv.put(key, JSON.stringify(toTokenFile(accounts)));
+    },
+  };
+}
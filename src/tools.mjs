@@ -0,0 +1,177 @@
+import { asString, isObject } from "./utils.mjs";
+
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SCHEMA_TYPES = new Set(["object", "array", "string", "number", "integer", "boolean", "null"]);
+const EMPTY_PARAMETERS = { type: "object", properties: {} };
+
+// Strict mode only works when every object lists all of its properties as required and forbids extra ones.
+function isStrictCompatible(schema) {
+  if (!isObject(schema)) return true;
+  if (schema.type === "object" || isObject(schema.properties)) {
+    const properties = Object.keys(isObject(schema.properties) ? schema.properties : {});
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    if (schema.additionalProperties !== false || properties.some((name) => !required.includes(name))) return false;
+  }
+  const children = [
+    ...Object.values(isObject(schema.properties) ? schema.properties : {}),
+    ...Object.values(isObject(schema.$defs) ? schema.$defs : {}),
+    ...Object.values(isObject(schema.definitions) ? schema.definitions : {}),
+    ...(Array.isArray(schema.anyOf) ? schema.anyOf : []),
+    ...(Array.isArray(schema.items) ? schema.items : [schema.items]),
+  ];
+  return children.every(isStrictCompatible);
+}
+
+function functionTool({ name, description, parameters, strict }) {
+  const schema = isObject(parameters) ? parameters : EMPTY_PARAMETERS;
+  return {
+    type: "function",
+    name,
+    ...(description !== undefined ? { description } : {}),
+    parameters: schema,
+    // Dropping an unsatisfiable `strict` beats an opaque upstream 400; the model still sees the schema.
+    ...(strict === true && isStrictCompatible(schema) ? { strict: true } : strict === false ? { strict: false } : {}),
+  };
+}
+
+// Accepts Responses, Chat Completions and Anthropic tool definitions and returns Responses ones.
+// Hosted tools (web_search, custom, ...) pass through unchanged.
+export function normalizeTool(tool) {
+  if (!isObject(tool)) return tool;
+  if (tool.type === "function" && isObject(tool.function)) return functionTool(tool.function);
+  if (tool.type === "function") return functionTool(tool);
+  if (tool.type === "custom" && isObject(tool.custom)) return { type: "custom", ...tool.custom };
+  // Anthropic client tools have no type (or "custom" in newer SDKs) and an `input_schema`.
+  if ((tool.type === undefined || tool.type === "custom") && typeof tool.name === "string" && "input_schema" in tool) {
+    return functionTool({ name: tool.name, description: tool.description, parameters: tool.input_schema });
+  }
+  return tool;
+}
+
+export function normalizeTools(tools) {
+  return Array.isArray(tools) ? tools.filter(isObject).map(normalizeTool) : [];
+}
+
+// Maps every tool_choice spelling to the Responses one: "auto" | "none" | "required" | { type: "function", name }
+// (or a hosted tool / allowed_tools object). Anything unrecognizable falls back to "auto".
+export function normalizeToolChoice(choice) {
+  if (choice === undefined || choice === null) return "auto";
+  if (typeof choice === "string") {
+    if (choice === "any") return "required";
+    return ["auto", "none", "required"].includes(choice) ? choice : "auto";
+  }
+  if (!isObject(choice)) return "auto";
+
+  const type = asString(choice.type);
+  if (type === "function") {
+    const name = isObject(choice.function) ? asString(choice.function.name) : asString(choice.name);
+    return name ? { type: "function", name } : "auto";
+  }
+  if (type === "tool" && typeof choice.name === "string") return { type: "function", name: choice.name };
+  if (type === "any") return "required";
+  if (type === "auto" || type === "none" || type === "required") return type;
+  if (type === "custom") {
+    const name = isObject(choice.custom) ? asString(choice.custom.name) : asString(choice.name);
+    return name ? { type: "custom", name } : "auto";
+  }
+  return type ? choice : "auto";
+}
+
+function schemaError(path, message) {
+  return `${path}: ${message}`;
+}
+
+// Returns the first structural problem in a JSON schema, or null. Only checks what the upstream
+// would reject anyway; it is not a full JSON Schema validator.
+function findSchemaProblem(schema, path) {
+  if (typeof schema === "boolean") return null;
+  if (!isObject(schema) || Array.isArray(schema)) return schemaError(path, "must be a JSON schema object");
+
+  const types = Array.isArray(schema.type) ? schema.type : schema.type === undefined ? [] : [schema.type];
+  const badType = types.find((type) => !SCHEMA_TYPES.has(type));
+  if (badType !== undefined) return schemaError(`${path}.type`, `${JSON.stringify(badType)} is not a JSON schema type`);
+
+  if (schema.properties !== undefined) {
+    if (!isObject(schema.properties) || Array.isArray(schema.properties)) {
+      return schemaError(`${path}.properties`, "must be an object");
+    }
+    for (const [name, child] of Object.entries(schema.properties)) {
+      const problem = findSchemaProblem(child, `${path}.properties.${name}`);
+      if (problem) return problem;
+    }
+  }
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every((name) => typeof name === "string"))) {
+    return schemaError(`${path}.required`, "must be an array of property names");
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) return schemaError(`${path}.enum`, "must be an array");
+
+  if (schema.items !== undefined) {
+    const items = Array.isArray(schema.items) ? schema.items : [schema.items];
+    for (const [index, child] of items.entries()) {
+      const problem = findSchemaProblem(child, Array.isArray(schema.items) ? `${path}.items[${index}]` : `${path}.items`);
+      if (problem) return problem;
+    }
+  }
+  if (types.includes("array") && schema.items === undefined) {
+    return schemaError(path, 'an "array" schema needs "items"');
+  }
+
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== "boolean") {
+    const problem = findSchemaProblem(schema.additionalProperties, `${path}.additionalProperties`);
+    if (problem) return problem;
+  }
+
+  for (const keyword of ["anyOf", "oneOf", "allOf"]) {
+    if (schema[keyword] === undefined) continue;
+    if (!Array.isArray(schema[keyword])) return schemaError(`${path}.${keyword}`, "must be an array");
+    for (const [index, child] of schema[keyword].entries()) {
+      const problem = findSchemaProblem(child, `${path}.${keyword}[${index}]`);
+      if (problem) return problem;
+    }
+  }
+
+  for (const keyword of ["$defs", "definitions"]) {
+    if (!isObject(schema[keyword])) continue;
+    for (const [name, child] of Object.entries(schema[keyword])) {
+      const problem = findSchemaProblem(child, `${path}.${keyword}.${name}`);
+      if (problem) return problem;
+    }
+  }
+
+  return null;
+}
+
+// Returns null when the (normalized) tools are acceptable, else { status, code, message }.
+export function validateTools(tools) {
+  const seen = new Set();
+  for (const [index, tool] of tools.entries()) {
+    if (!isObject(tool) || tool.type !== "function") continue;
+
+    const name = asString(tool.name);
+    if (!name || !TOOL_NAME_PATTERN.test(name)) {
+      return {
+        status: 400,
+        code: "invalid_tool_name",
+        message: `tools[${index}]: function name ${JSON.stringify(tool.name ?? null)} must match ${TOOL_NAME_PATTERN.source}`,
+      };
+    }
+    if (seen.has(name)) {
+      return { status: 400, code: "duplicate_tool_name", message: `tools[${index}]: duplicate function name '${name}'` };
+    }
+    seen.add(name);
+
+    const parameters = tool.parameters;
+    if (parameters.type !== undefined && parameters.type !== "object") {
+      return {
+        status: 400,
+        code: "invalid_tool_schema",
+        message: `Invalid schema for function '${name}': the top-level schema must have type "object"`,
+      };
+    }
+    const problem = findSchemaProblem(parameters, `tools[${index}].parameters`);
+    if (problem) {
+      return { status: 400, code: "invalid_tool_schema", message: `Invalid schema for function '${name}': ${problem}` };
+    }
+  }
+  return null;
+}
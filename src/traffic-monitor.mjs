@@ -0,0 +1,33 @@
+// In-memory view of live traffic for the admin dashboard: open streams and the most recent finished requests.
+export function createTrafficMonitor({ recentLimit = 100 } = {}) {
+  const active = new Map();
+  const recent = [];
+
+  return {
+    streamStarted(ctx) {
+      active.set(ctx.id, ctx);
+    },
+
+    finished(ctx, summary) {
+      active.delete(ctx.id);
+      recent.push(summary);
+      if (recent.length > recentLimit) recent.shift();
+    },
+
+    snapshot() {
+      const now = performance.now();
+      return {
+        activeStreams: [...active.values()].map((ctx) => ({
+          requestId: ctx.id,
+          key: ctx.client?.name,
+          route: ctx.route,
+          model: ctx.model,
+          account: ctx.account,
+          events: ctx.streamEvents || 0,
+          elapsedMs: Math.round(now - ctx.startedAt),
+        })),
+        recentRequests: [...recent].reverse(),
+      };
+    },
+  };
+}
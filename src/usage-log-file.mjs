@@ -0,0 +1,59 @@
+import { createReadStream } from "node:fs";
+import { appendFile, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+import { createInterface } from "node:readline";
+import { logger } from "./logger.mjs";
+import { aggregateUsage } from "./usage-log.mjs";
+
+const log = logger.child({ component: "usage" });
+
+async function* readEntries(input) {
+  for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // skip lines cut short by a crash
+    }
+  }
+}
+
+// Append-only JSONL log: one line per completed upstream response.
+export function createFileUsageLog(path) {
+  let pending = Promise.resolve();
+
+  return {
+    description: `file:${path}`,
+
+    record(entry) {
+      const line = `${JSON.stringify(entry)}\n`;
+      pending = pending
+        .then(async () => {
+          await mkdir(dirname(path), { recursive: true });
+          await appendFile(path, line, { mode: 0o600 });
+        })
+        .catch((error) => {
+          log.warn("failed to append usage", { path, error });
+        });
+      return pending;
+    },
+
+    async report(query) {
+      await pending;
+
+      let input;
+      try {
+        input = createReadStream(path, { encoding: "utf8" });
+        await new Promise((resolve, reject) => {
+          input.once("open", resolve);
+          input.once("error", reject);
+        });
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      return aggregateUsage(readEntries(input), query);
+    },
+  };
+}
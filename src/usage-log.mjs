@@ -0,0 +1,81 @@
+import { isObject } from "./utils.mjs";
+
+export const USAGE_GROUP_FIELDS = ["day", "key", "model", "route", "account"];
+const USAGE_METRICS = ["requests", "input_tokens", "output_tokens", "reasoning_tokens", "cached_tokens", "total_tokens"];
+
+export function normalizeUsage(usage) {
+  if (!isObject(usage)) return null;
+  const input = Number(usage.input_tokens) || 0;
+  const output = Number(usage.output_tokens) || 0;
+  return {
+    input_tokens: input,
+    output_tokens: output,
+    reasoning_tokens: Number(usage.output_tokens_details?.reasoning_tokens) || 0,
+    cached_tokens: Number(usage.input_tokens_details?.cached_tokens) || 0,
+    total_tokens: Number(usage.total_tokens) || input + output,
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function usageRowsToCsv(rows, groupBy) {
+  const columns = [...groupBy, ...USAGE_METRICS];
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Sums entries (sync or async iterable) into one row per distinct `groupBy` value, sorted by those fields.
+export async function aggregateUsage(entries, { from, to, key, model, groupBy = ["day", "key", "model"] } = {}) {
+  const groups = new Map();
+
+  for await (const entry of entries) {
+    if ((from && entry.day < from) || (to && entry.day > to)) continue;
+    if ((key && entry.key !== key) || (model && entry.model !== model)) continue;
+
+    const groupKey = groupBy.map((field) => entry[field] ?? "").join("\u0000");
+    let row = groups.get(groupKey);
+    if (!row) {
+      row = Object.fromEntries(groupBy.map((field) => [field, entry[field] ?? null]));
+      for (const metric of USAGE_METRICS) row[metric] = 0;
+      groups.set(groupKey, row);
+    }
+
+    row.requests += 1;
+    for (const metric of USAGE_METRICS.slice(1)) {
+      row[metric] += Number(entry[metric]) || 0;
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => {
+    for (const field of groupBy) {
+      const order = String(a[field] ?? "").localeCompare(String(b[field] ?? ""));
+      if (order) return order;
+    }
+    return 0;
+  });
+}
+
+// Keeps the newest `maxEntries` usage entries in memory, for runtimes without a filesystem.
+// The JSONL file log lives in usage-log-file.mjs.
+export function createMemoryUsageLog({ maxEntries = 100_000 } = {}) {
+  const entries = [];
+
+  return {
+    description: "memory",
+
+    async record(entry) {
+      entries.push(entry);
+      if (entries.length > maxEntries) entries.shift();
+    },
+
+    async report(query) {
+      return aggregateUsage(entries, query);
+    },
+  };
+}
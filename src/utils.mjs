@@ -0,0 +1,11 @@
+export function isObject(value) {
+  return typeof value === "object" && value !== null;
+}
+
+export function asString(value) {
+  return typeof value === "string" ? value : undefined;
+}
+
+export function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
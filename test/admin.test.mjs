@@ -0,0 +1,271 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { createMemoryJsonStore } from "../src/json-store.mjs";
+import { createModelCatalog } from "../src/model-catalog.mjs";
+import { ADMIN_SECRET, PROXY_SECRET, startProxy } from "./helpers.mjs";
+
+const admin = { authorization: `Bearer ${ADMIN_SECRET}` };
+const body = { model: "gpt-5.3-codex", input: "hi", stream: false };
+
+describe("admin API", () => {
+  let harness;
+  afterEach(() => harness?.close());
+
+  const status = async (secret) =>
+    (await harness.request("/v1/responses", { body, headers: { authorization: `Bearer ${secret}` } })).status;
+
+  describe("token state", () => {
+    it("lists accounts with redacted tokens", async () => {
+      harness = await startProxy();
+      const [account] = (await (await harness.request("/admin/accounts", { headers: admin })).json()).data;
+      assert.equal(account.name, "default");
+      assert.equal(account.refreshToken, "...sh-1");
+      assert.match(account.accessToken, /^\.\.\..{4}$/);
+      assert.equal(account.refreshState, "ok");
+    });
+
+    it("replaces an account's tokens and uses them right away", async () => {
+      harness = await startProxy();
+      const issued = harness.mock.issueTokens({ accountId: "acct-new" });
+      const response = await harness.request("/admin/accounts", { body: issued, headers: admin });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).data[0].accountId, "acct-new");
+
+      assert.equal(await status(PROXY_SECRET), 200);
+      assert.equal(harness.mock.requests.at(-1).token, issued.access_token);
+      assert.equal((await harness.tokenStore.load())[0].refreshToken, issued.refresh_token);
+    });
+
+    it("removes accounts, but not the last one", async () => {
+      harness = await startProxy({
+        accounts: [
+          { name: "alice", accountId: "acct-alice" },
+          { name: "bob", accountId: "acct-bob" },
+        ],
+      });
+      const removed = await harness.request("/admin/accounts/alice", { method: "DELETE", headers: admin });
+      assert.equal(removed.status, 200);
+      assert.deepEqual(
+        (await harness.tokenStore.load()).map((account) => account.name),
+        ["bob"],
+      );
+
+      await harness.request("/v1/responses", { body });
+      assert.equal(harness.mock.requests.at(-1).accountId, "acct-bob");
+
+      const last = await harness.request("/admin/accounts/bob", { method: "DELETE", headers: admin });
+      assert.equal(last.status, 409);
+
+      const malformed = await harness.request("/admin/accounts/%E0", { method: "DELETE", headers: admin });
+      assert.equal(malformed.status, 404);
+    });
+  });
+
+  describe("key storage shared by several instances", () => {
+    let other;
+    afterEach(() => other?.close());
+
+    // Two proxies on one key store and one usage store, like Worker isolates on one KV namespace.
+    const startPair = async () => {
+      const shared = { keyStorage: createMemoryJsonStore(), keyUsageStorage: createMemoryJsonStore(), sharedStateMaxAgeMs: 0 };
+      harness = await startProxy(shared);
+      other = await startProxy(shared);
+      return shared;
+    };
+    const create = async (name) => (await (await harness.request("/admin/keys", { body: { name }, headers: admin })).json()).key;
+    const otherStatus = async (secret) =>
+      (await other.request("/v1/responses", { body, headers: { authorization: `Bearer ${secret}` } })).status;
+
+    it("applies keys created and revoked on another instance", async () => {
+      await startPair();
+      const key = await create("ci-bot");
+      assert.equal(await otherStatus(key), 200);
+
+      await harness.request("/admin/keys/ci-bot", { method: "DELETE", headers: admin });
+      assert.equal(await otherStatus(key), 401);
+    });
+
+    it("saves usage without writing back a stale key list", async () => {
+      const { keyStorage, keyUsageStorage } = await startPair();
+      const first = await create("first");
+      assert.equal(await otherStatus(first), 200);
+
+      // `other` last read the key list before these changes.
+      const second = await create("second");
+      await harness.request("/admin/keys/first", { method: "DELETE", headers: admin });
+      await other.proxy.stop();
+
+      const stored = (await keyStorage.load()).keys;
+      assert.deepEqual(
+        stored.map((record) => [record.name, record.enabled]),
+        [
+          ["first", false],
+          ["second", true],
+        ],
+      );
+      assert.ok(stored.every((record) => record.usage === undefined));
+      assert.equal(Object.values((await keyUsageStorage.load()).usage)[0].requests, 1);
+      assert.equal(await otherStatus(second), 200);
+    });
+  });
+
+  describe("proxy secret rotation", () => {
+    it("accepts the old and the new secret during the grace period", async () => {
+      harness = await startProxy();
+      const response = await harness.request("/admin/proxy-secret", { body: { graceSeconds: 60 }, headers: admin });
+      assert.equal(response.status, 200);
+      const rotated = await response.json();
+      assert.match(rotated.secret, /^sk-proxy-master-/);
+      assert.equal(rotated.source, "rotated");
+      assert.ok(Date.parse(rotated.previousValidUntil) > Date.now());
+
+      assert.equal(await status(rotated.secret), 200);
+      assert.equal(await status(PROXY_SECRET), 200);
+    });
+
+    it("rejects the old secret once the grace period is over", async () => {
+      harness = await startProxy();
+      const secret = "a-brand-new-proxy-secret";
+      const response = await harness.request("/admin/proxy-secret", { body: { secret, graceSeconds: 0 }, headers: admin });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).secret, undefined);
+
+      assert.equal(await status(secret), 200);
+      assert.equal(await status(PROXY_SECRET), 401);
+    });
+
+    it("rejects short secrets and out-of-range grace periods", async () => {
+      harness = await startProxy();
+      for (const rotation of [{ secret: "short" }, { graceSeconds: -1 }, { graceSeconds: "soon" }]) {
+        const response = await harness.request("/admin/proxy-secret", { body: rotation, headers: admin });
+        assert.equal(response.status, 400);
+      }
+      assert.equal((await (await harness.request("/admin/proxy-secret", { headers: admin })).json()).source, "env");
+    });
+
+    it("keeps a rotation across restarts until PROXY_SECRET is changed by hand", async () => {
+      const secretStorage = createMemoryJsonStore();
+      harness = await startProxy({ secretStorage });
+      const secret = "a-brand-new-proxy-secret";
+      await harness.request("/admin/proxy-secret", { body: { secret, graceSeconds: 0 }, headers: admin });
+      await harness.close();
+
+      harness = await startProxy({ secretStorage });
+      assert.equal(await status(secret), 200);
+      assert.equal(await status(PROXY_SECRET), 401);
+      await harness.close();
+
+      harness = await startProxy({ secretStorage, env: { PROXY_SECRET: "edited-in-the-env-file" } });
+      assert.equal(await status("edited-in-the-env-file"), 200);
+      assert.equal(await status(secret), 401);
+    });
+  });
+
+  describe("proxy secret shared by several instances", () => {
+    let other;
+    afterEach(() => other?.close());
+
+    it("applies a rotation made on another instance", async () => {
+      const shared = { secretStorage: createMemoryJsonStore(), sharedStateMaxAgeMs: 0 };
+      harness = await startProxy(shared);
+      other = await startProxy(shared);
+      const secret = "a-brand-new-proxy-secret";
+      await harness.request("/admin/proxy-secret", { body: { secret, graceSeconds: 0 }, headers: admin });
+
+      const otherStatus = async (key) =>
+        (await other.request("/v1/responses", { body, headers: { authorization: `Bearer ${key}` } })).status;
+      assert.equal(await otherStatus(secret), 200);
+      assert.equal(await otherStatus(PROXY_SECRET), 401);
+    });
+  });
+
+  describe("reload", () => {
+    it("re-reads models, keys and stored tokens", async () => {
+      let models = { models: [{ id: "gpt-5.3-codex" }] };
+      const modelCatalog = {
+        path: "models.json",
+        current: createModelCatalog(models),
+        async reload() {
+          modelCatalog.current = createModelCatalog(models);
+        },
+      };
+      const keyStorage = createMemoryJsonStore();
+      harness = await startProxy({ modelCatalog, keyStorage });
+
+      models = { models: [{ id: "gpt-5.3-codex" }, { id: "gpt-6-codex" }] };
+      await keyStorage.save({ keys: [] });
+      const [stored] = await harness.tokenStore.load();
+      const issued = harness.mock.issueTokens();
+      await harness.tokenStore.save([{ ...stored, name: "default", accessToken: issued.access_token, refreshToken: issued.refresh_token }]);
+
+      const response = await harness.request("/admin/reload", { method: "POST", headers: admin });
+      assert.equal(response.status, 200);
+      const results = await response.json();
+      assert.equal(results.models.visibleModels, 2);
+      assert.equal(results.policy.reloaded, false);
+      assert.deepEqual(results.accounts.updated, ["default"]);
+
+      const ids = (await (await harness.request("/v1/models")).json()).data.map((model) => model.id);
+      assert.ok(ids.includes("gpt-6-codex"));
+      await harness.request("/v1/responses", { body });
+      assert.equal(harness.mock.requests.at(-1).token, issued.access_token);
+    });
+
+    it("keeps the previous state and answers 422 when a file is invalid", async () => {
+      const modelCatalog = {
+        path: "models.json",
+        current: createModelCatalog(),
+        async reload() {
+          throw new SyntaxError("Unexpected token } in JSON");
+        },
+      };
+      harness = await startProxy({ modelCatalog });
+      const response = await harness.request("/admin/reload", { method: "POST", headers: admin });
+      assert.equal(response.status, 422);
+      assert.match((await response.json()).models.error, /Unexpected token/);
+      assert.equal((await harness.request("/v1/models")).status, 200);
+    });
+  });
+
+  describe("health and drain", () => {
+    it("splits liveness from readiness", async () => {
+      harness = await startProxy({ tokens: (mock) => mock.issueTokens({ expiresIn: -60 }) });
+      assert.equal((await harness.request("/health/live")).status, 200);
+      assert.equal((await harness.request("/health/ready")).status, 200);
+
+      harness.mock.enqueueToken({ status: 400, body: { error: "invalid_grant" } });
+      await harness.request("/v1/responses", { body });
+      const ready = await harness.request("/health/ready");
+      assert.equal(ready.status, 503);
+      assert.equal((await ready.json()).status, "unavailable");
+      assert.equal((await harness.request("/health/live")).status, 200);
+    });
+
+    it("lets open streams finish and turns new requests away", async () => {
+      harness = await startProxy();
+      harness.mock.enqueue({ text: "one two three four", delayMs: 30 });
+      const stream = await harness.request("/v1/responses", { body: { ...body, stream: true } });
+      assert.equal(stream.status, 200);
+
+      let drained = false;
+      const draining = harness.proxy.drain().then(() => {
+        drained = true;
+      });
+
+      const rejected = await harness.request("/v1/responses", { body });
+      assert.equal(rejected.status, 503);
+      assert.equal(rejected.headers.get("connection"), "close");
+      await rejected.arrayBuffer();
+
+      const ready = await harness.request("/health/ready");
+      assert.equal(ready.status, 503);
+      assert.equal((await ready.json()).status, "draining");
+      assert.equal(drained, false);
+
+      const text = await stream.text();
+      assert.match(text, /response\.completed/);
+      await draining;
+      assert.equal(harness.proxy.activeRequests, 0);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createAttachmentResolver, isPublicAddress } from "../src/attachments.mjs";
+import { readProxyConfig } from "../src/proxy-config.mjs";
+
+const image = (url) => [{ role: "user", content: [{ type: "input_image", image_url: url }] }];
+const PNG = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==", "base64");
+
+describe("attachments", () => {
+  it("passes remote URLs through unless ATTACHMENT_FETCH_REMOTE=true", async (t) => {
+    const fetch = t.mock.method(globalThis, "fetch");
+    const resolver = createAttachmentResolver(readProxyConfig({ PROXY_SECRET: "secret" }).attachments);
+    const file = { type: "input_file", filename: "notes.txt", file_url: "http://127.0.0.1/notes.txt" };
+    const [resolved] = await resolver.resolve([
+      { role: "user", content: [{ type: "input_image", image_url: "https://example.com/a.png" }, file] },
+    ]);
+    assert.deepEqual(resolved.content, [{ type: "input_image", image_url: "https://example.com/a.png", detail: "auto" }, file]);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it("rejects malformed data URLs", async () => {
+    const resolver = createAttachmentResolver();
+    await assert.rejects(resolver.resolve(image("data:image/png,%E0")), { code: "invalid_attachment" });
+  });
+
+  it("classifies private and public addresses", () => {
+    const local = ["127.0.0.1", "10.0.0.8", "172.16.4.1", "192.168.1.1", "169.254.169.254", "::1", "fd00::1", "fe80::1"];
+    for (const address of [...local, "::ffff:7f00:1"]) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ["93.184.216.34", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+  });
+
+  it("refuses URLs that point to local or private addresses", async (t) => {
+    const fetch = t.mock.method(globalThis, "fetch");
+    const resolver = createAttachmentResolver({ fetchRemote: true, lookupHost: async () => ["10.0.0.8"] });
+    const urls = ["http://127.0.0.1/a.png", "http://2130706433/a.png", "http://[::1]/a.png", "http://localhost/a.png"];
+    // lookupHost resolves every name to 10.0.0.8.
+    for (const url of [...urls, "http://intranet.example/a.png"]) {
+      await assert.rejects(resolver.resolve(image(url)), { code: "attachment_url_not_allowed" }, url);
+    }
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it("checks every redirect hop", async (t) => {
+    const fetch = t.mock.method(globalThis, "fetch", async (url, init) => {
+      assert.equal(init.redirect, "manual");
+      return url.endsWith("/moved.png")
+        ? new Response(null, { status: 302, headers: { location: "http://169.254.169.254/latest/meta-data" } })
+        : new Response(PNG, { headers: { "content-type": "image/png" } });
+    });
+    const resolver = createAttachmentResolver({ fetchRemote: true, lookupHost: async () => ["93.184.216.34"] });
+
+    const [resolved] = await resolver.resolve(image("https://example.com/a.png"));
+    assert.match(resolved.content[0].image_url, /^data:image\/png;base64,/);
+
+    await assert.rejects(resolver.resolve(image("https://example.com/moved.png")), { code: "attachment_url_not_allowed" });
+    assert.equal(fetch.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { ADMIN_SECRET, PROXY_SECRET, startProxy } from "./helpers.mjs";
+
+const basic = (user, pass) => `Basic ${Buffer.from(`${user}:${pass}`).toString("base64")}`;
+const body = { model: "gpt-5.3-codex", input: "hi", stream: false };
+
+describe("proxy auth", () => {
+  let harness;
+  before(async () => {
+    harness = await startProxy();
+  });
+  after(() => harness.close());
+
+  const status = async (headers) => (await harness.request("/v1/responses", { body, headers, auth: false })).status;
+
+  for (const [mode, headers] of [
+    ["Bearer", { authorization: `Bearer ${PROXY_SECRET}` }],
+    ["a bare Authorization value", { authorization: PROXY_SECRET }],
+    ["a quoted Bearer value", { authorization: `Bearer "${PROXY_SECRET}"` }],
+    ["Basic with the secret as password", { authorization: basic("user", PROXY_SECRET) }],
+    ["Basic with the secret as username", { authorization: basic(PROXY_SECRET, "") }],
+    ["x-api-key", { "x-api-key": PROXY_SECRET }],
+    ["api-key", { "api-key": PROXY_SECRET }],
+  ]) {
+    it(`accepts ${mode}`, async () => {
+      assert.equal(await status(headers), 200);
+    });
+  }
+
+  for (const [mode, headers] of [
+    ["no credentials", {}],
+    ["a wrong Bearer secret", { authorization: "Bearer nope" }],
+    ["a wrong x-api-key", { "x-api-key": "nope" }],
+    ["malformed Basic", { authorization: "Basic %%%" }],
+  ]) {
+    it(`rejects ${mode}`, async () => {
+      assert.equal(await status(headers), 401);
+    });
+  }
+
+  it("does not call the upstream for rejected requests", async () => {
+    const before = harness.mock.requests.length;
+    await status({ authorization: "Bearer nope" });
+    assert.equal(harness.mock.requests.length, before);
+  });
+
+  it("accepts client keys created through the admin API until they are revoked", async () => {
+    const created = await harness.request("/admin/keys", {
+      body: { name: "ci-bot" },
+      headers: { authorization: `Bearer ${ADMIN_SECRET}` },
+    });
+    assert.equal(created.status, 201);
+    const { id, key } = await created.json();
+
+    assert.equal(await status({ authorization: `Bearer ${key}` }), 200);
+    assert.equal(await status({ "x-api-key": key }), 200);
+
+    const revoked = await harness.request(`/admin/keys/${id}`, {
+      method: "DELETE",
+      headers: { authorization: `Bearer ${ADMIN_SECRET}` },
+    });
+    assert.equal(revoked.status, 200);
+    assert.equal(await status({ authorization: `Bearer ${key}` }), 401);
+
+    for (const id of ["unknown", "%E0"]) {
+      const missing = await harness.request(`/admin/keys/${id}`, { method: "DELETE", headers: { authorization: `Bearer ${ADMIN_SECRET}` } });
+      assert.equal(missing.status, 404);
+    }
+  });
+
+  it("revokes the enabled key when a revoked key's name was reused", async () => {
+    const admin = { authorization: `Bearer ${ADMIN_SECRET}` };
+    const create = async () => (await harness.request("/admin/keys", { body: { name: "reused" }, headers: admin })).json();
+    const revoke = () => harness.request("/admin/keys/reused", { method: "DELETE", headers: admin });
+
+    await create();
+    assert.equal((await revoke()).status, 200);
+    const { id, key } = await create();
+
+    const revoked = await revoke();
+    assert.equal(revoked.status, 200);
+    assert.equal((await revoked.json()).id, id);
+    assert.equal(await status({ authorization: `Bearer ${key}` }), 401);
+    assert.equal((await revoke()).status, 404);
+  });
+
+  it("keeps the admin API behind ADMIN_SECRET", async () => {
+    const response = await harness.request("/admin/keys");
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,83 @@
+import { readFile } from "node:fs/promises";
+import { startMockUpstream } from "../scripts/mock-upstream.js";
+import { createModelCatalog } from "../src/model-catalog.mjs";
+import { createProxy } from "../src/proxy.mjs";
+import { readProxyConfig } from "../src/proxy-config.mjs";
+import { readSSEEvents } from "../src/sse.mjs";
+import { createMemoryTokenStore } from "../src/token-store.mjs";
+
+export const PROXY_SECRET = "test-proxy-secret";
+export const ADMIN_SECRET = "test-admin-secret";
+
+const models = JSON.parse(await readFile(new URL("../config/models.json", import.meta.url), "utf8"));
+
+// A proxy wired to a fresh mock upstream, with in-memory stores and the repo's model catalog.
+// `accounts` seeds the token store with named accounts; otherwise one account comes from the env.
+// `tokens(mock)` returns the env account's tokens (defaults to a valid pair issued by the mock). Any other
+// option is passed on to createProxy().
+export async function startProxy({ env = {}, accounts, tokens, ...dependencies } = {}) {
+  const mock = await startMockUpstream();
+  const tokenStore = createMemoryTokenStore();
+
+  if (accounts) {
+    await tokenStore.save(
+      accounts.map(({ name, accountId }) => {
+        const issued = mock.issueTokens({ accountId });
+        return {
+          name,
+          accessToken: issued.access_token,
+          refreshToken: issued.refresh_token,
+          expiresAt: Date.now() + issued.expires_in * 1000,
+          accountId,
+        };
+      }),
+    );
+  }
+  const envTokens = accounts ? {} : tokens ? tokens(mock) : mock.issueTokens();
+
+  const proxy = await createProxy({
+    config: readProxyConfig({
+      PROXY_SECRET,
+      ADMIN_SECRET,
+      LOG_LEVEL: "error",
+      CODEX_RESPONSES_API_URL: mock.responsesUrl,
+      OPENAI_OAUTH_TOKEN_URL: mock.tokenUrl,
+      OPENAI_ACCESS_TOKEN: envTokens.access_token,
+      OPENAI_REFRESH_TOKEN: envTokens.refresh_token,
+      UPSTREAM_RETRY_BASE_MS: "1",
+      UPSTREAM_RETRY_MAX_MS: "50",
+      ...env,
+    }),
+    tokenStore,
+    modelCatalog: { path: null, current: createModelCatalog(models) },
+    ...dependencies,
+  });
+
+  return {
+    proxy,
+    mock,
+    tokenStore,
+
+    // Sends a request through the proxy. JSON bodies are serialized; `auth: false` drops the default secret.
+    request(path, { method, body, headers = {}, auth = true } = {}) {
+      const init = { method: method || (body === undefined ? "GET" : "POST"), headers: new Headers(headers) };
+      if (auth && !init.headers.has("authorization")) init.headers.set("authorization", `Bearer ${PROXY_SECRET}`);
+      if (body !== undefined) {
+        init.body = typeof body === "string" ? body : JSON.stringify(body);
+        init.headers.set("content-type", "application/json");
+      }
+      return proxy.fetch(new Request(`http://proxy.test${path}`, init));
+    },
+
+    close: () => mock.close(),
+  };
+}
+
+// The parsed `data` payloads of an SSE response, `[DONE]` included as a string.
+export async function sseData(response) {
+  const events = [];
+  for await (const event of readSSEEvents(response.body)) {
+    events.push(event.data === undefined ? event.text : event.data);
+  }
+  return events;
+}
@@ -0,0 +1,18 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { readJsonFile, writeJsonFileAtomic } from "../src/json-file.mjs";
+
+describe("JSON files", () => {
+  const dir = mkdtemp(join(tmpdir(), "json-file-"));
+  after(async () => rm(await dir, { recursive: true, force: true }));
+
+  it("keeps concurrent saves of one file from clobbering each other", async () => {
+    const path = join(await dir, "keys.json");
+    await Promise.all(Array.from({ length: 20 }, (_, index) => writeJsonFileAtomic(path, { index })));
+    assert.equal(typeof (await readJsonFile(path)).index, "number");
+    assert.deepEqual(await readdir(await dir), ["keys.json"]);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startProxy } from "./helpers.mjs";
+
+describe("model normalization", () => {
+  let harness;
+  before(async () => {
+    harness = await startProxy();
+  });
+  after(() => harness.close());
+
+  // The body the proxy sent upstream for one request.
+  const upstreamBody = async (path, body) => {
+    const response = await harness.request(path, { body: { stream: false, ...body } });
+    assert.equal(response.status, 200);
+    await response.arrayBuffer();
+    return harness.mock.requests.at(-1).body;
+  };
+
+  for (const [model, expected, effort] of [
+    ["gpt-5.3-codex-high", "gpt-5.3-codex", "high"],
+    ["codex-5.3-high", "gpt-5.3-codex", "high"],
+    ["gpt-5.2-codex-low", "gpt-5.2-codex", "low"],
+    ["gpt-5.3-codex:xhigh", "gpt-5.3-codex", "xhigh"],
+    ["gpt-5.1-codex-mini-medium-reasoning", "gpt-5.1-codex-mini", "medium"],
+    [undefined, "gpt-5.3-codex", "high"],
+  ]) {
+    it(`sends ${model ?? "no model"} as ${expected} with ${effort} effort`, async () => {
+      const body = await upstreamBody("/v1/responses", { model, input: "hi" });
+      assert.equal(body.model, expected);
+      assert.deepEqual(body.reasoning, { effort });
+    });
+  }
+
+  it("forwards unknown models unchanged", async () => {
+    const body = await upstreamBody("/v1/responses", { model: "some-future-model", input: "hi" });
+    assert.equal(body.model, "some-future-model");
+  });
+
+  it("lets the request's own reasoning effort win over the model suffix", async () => {
+    const body = await upstreamBody("/v1/responses", { model: "gpt-5.3-codex-high", input: "hi", reasoning: { effort: "low" } });
+    assert.deepEqual(body.reasoning, { effort: "low" });
+  });
+
+  it("always streams upstream with store disabled and the default instructions", async () => {
+    const body = await upstreamBody("/v1/responses", { model: "gpt-5.3-codex", input: "hi", store: false });
+    assert.equal(body.stream, true);
+    assert.equal(body.store, false);
+    assert.match(body.instructions, /^You are Codex/);
+    assert.deepEqual(body.input, [{ type: "message", role: "user", content: [{ type: "input_text", text: "hi" }] }]);
+  });
+
+  it("maps Chat Completions reasoning_effort and messages", async () => {
+    const body = await upstreamBody("/v1/chat/completions", {
+      model: "gpt-5.2-codex",
+      reasoning_effort: "medium",
+      messages: [
+        { role: "system", content: "be brief" },
+        { role: "user", content: "hi" },
+      ],
+    });
+    assert.equal(body.model, "gpt-5.2-codex");
+    assert.deepEqual(body.reasoning, { effort: "medium" });
+    assert.deepEqual(
+      body.input.map((item) => [item.role, item.content[0].text]),
+      [
+        ["system", "be brief"],
+        ["user", "hi"],
+      ],
+    );
+  });
+
+  it("falls back to the default model for Anthropic model names", async () => {
+    const body = await upstreamBody("/v1/messages", {
+      model: "claude-sonnet-4",
+      max_tokens: 100,
+      messages: [{ role: "user", content: "hi" }],
+    });
+    assert.equal(body.model, "gpt-5.3-codex");
+    assert.deepEqual(body.reasoning, { effort: "high" });
+  });
+
+  it("lists catalog models and visible aliases, but not hidden ones", async () => {
+    const response = await harness.request("/v1/models", { auth: false });
+    const ids = (await response.json()).data.map((model) => model.id);
+    assert.ok(ids.includes("gpt-5.3-codex-high"));
+    assert.ok(ids.includes("gpt-5.3-codex"));
+    assert.ok(!ids.includes("codex-5.3-high"));
+  });
+
+  it("labels metrics for models outside the catalog as other", async () => {
+    await upstreamBody("/v1/responses", { model: "made-up-model-123", input: "hi" });
+    await upstreamBody("/v1/responses", { model: "gpt-5.3-codex", input: "hi" });
+    const text = await (await harness.request("/metrics", { auth: false })).text();
+    assert.match(text, /codex_proxy_requests_total\{route="responses",model="other",status="200"\}/);
+    assert.match(text, /model="gpt-5\.3-codex"/);
+    assert.doesNotMatch(text, /made-up-model-123/);
+  });
+});
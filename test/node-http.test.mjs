@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { connect } from "node:net";
+import { after, before, describe, it } from "node:test";
+import { toNodeListener } from "../src/node-http.mjs";
+import { PROXY_SECRET, sseData, startProxy } from "./helpers.mjs";
+
+describe("node:http adapter", () => {
+  let harness;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    harness = await startProxy({ env: { MAX_BODY_MB_CHAT_COMPLETIONS: "0.001" } });
+    server = createServer(toNodeListener((request) => harness.proxy.fetch(request)));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await harness.close();
+  });
+
+  // Sends a request the Fetch API would refuse to build, and resolves to the status line.
+  const rawRequest = (text) =>
+    new Promise((resolve, reject) => {
+      const socket = connect(server.address().port, "127.0.0.1", () => socket.write(text));
+      let received = "";
+      socket.setEncoding("utf8");
+      socket.on("data", (chunk) => {
+        received += chunk;
+      });
+      socket.on("end", () => resolve(received.split("\r\n", 1)[0]));
+      socket.on("error", reject);
+    });
+
+  const post = (path, body) =>
+    fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: { authorization: `Bearer ${PROXY_SECRET}`, "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("serves health with the proxy's headers", async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    assert.equal(response.status, 200);
+    assert.ok(response.headers.get("x-request-id"));
+    assert.equal((await response.json()).status, "ok");
+  });
+
+  it("streams SSE responses", async () => {
+    const response = await post("/v1/chat/completions", { messages: [{ role: "user", content: "hi" }], stream: true });
+    assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+    assert.equal((await sseData(response)).at(-1), "[DONE]");
+  });
+
+  it("answers methods the Fetch API refuses with 405 and keeps running", async () => {
+    assert.equal(await rawRequest("TRACE / HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n"), "HTTP/1.1 405 Method Not Allowed");
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+  });
+
+  it("answers a malformed Host header with 400 and keeps running", async () => {
+    assert.equal(await rawRequest("GET /health HTTP/1.1\r\nHost: a b\r\nConnection: close\r\n\r\n"), "HTTP/1.1 400 Bad Request");
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+  });
+
+  it("rejects oversized bodies with 413", async () => {
+    const response = await post("/v1/chat/completions", { messages: [{ role: "user", content: "x".repeat(4096) }] });
+    assert.equal(response.status, 413);
+    await response.arrayBuffer();
+  });
+});
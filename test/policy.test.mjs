@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { after, before, describe, it } from "node:test";
+import { createPolicy } from "../src/policy.mjs";
+import { ADMIN_SECRET, startProxy } from "./helpers.mjs";
+
+const policyConfig = JSON.parse(await readFile(new URL("../config/policy.example.json", import.meta.url), "utf8"));
+const BLOCKED = "please summarize customer_export_42.csv";
+
+describe("request policy", () => {
+  let harness;
+  before(async () => {
+    harness = await startProxy({ policy: { path: null, current: createPolicy(policyConfig) } });
+  });
+  after(() => harness.close());
+
+  const dryRun = async (request) => {
+    const response = await harness.request("/admin/policy/dry-run", { body: request, headers: { authorization: `Bearer ${ADMIN_SECRET}` } });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  it("rejects a blocked request without calling the upstream", async () => {
+    const before = harness.mock.requests.length;
+    const response = await harness.request("/v1/responses", { body: { model: "gpt-5.3-codex", input: BLOCKED } });
+    assert.equal(response.status, 403);
+    const { error } = await response.json();
+    assert.equal(error.code, "policy_blocked");
+    assert.equal(error.message, "Customer exports must not be sent to the model.");
+    assert.equal(harness.mock.requests.length, before);
+  });
+
+  it("redacts input and sets the default instructions before sending", async () => {
+    const response = await harness.request("/v1/responses", {
+      body: { model: "gpt-5.3-codex", input: "why is db1.corp.example.com slow?", stream: false },
+    });
+    assert.equal(response.status, 200);
+    const sent = harness.mock.requests.at(-1).body;
+    assert.match(JSON.stringify(sent.input), /why is \[REDACTED:internal_host\] slow\?/);
+    assert.equal(sent.instructions, policyConfig.defaultInstructions);
+  });
+
+  it("reports what dry-run would block or redact without sending anything", async () => {
+    const before = harness.mock.requests.length;
+
+    const blocked = await dryRun({ route: "responses", request: { model: "gpt-5.3-codex", input: BLOCKED } });
+    assert.equal(blocked.blocked.rule, "customer-data");
+
+    const redacted = await dryRun({
+      route: "chat.completions",
+      key: "ci-bot",
+      request: { model: "gpt-5.3-codex", messages: [{ role: "user", content: "check db1.corp.example.com" }] },
+    });
+    assert.equal(redacted.blocked, null);
+    assert.deepEqual(redacted.redactions, { internal_host: 1 });
+    assert.match(redacted.body.instructions, /^You are reviewing a pull request\./);
+
+    const ruleBlocked = await dryRun({
+      route: "chat.completions",
+      request: { model: "gpt-5.1-codex-mini", messages: [{ role: "user", content: "DROP TABLE users" }] },
+    });
+    assert.equal(ruleBlocked.blocked.rule, "no-migrations");
+    assert.equal(harness.mock.requests.length, before);
+  });
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { ADMIN_SECRET, startProxy } from "./helpers.mjs";
+
+const body = { model: "gpt-5.3-codex", input: "hi", stream: false };
+
+describe("rate limiting", () => {
+  let harness;
+  afterEach(() => harness?.close());
+
+  const send = async (headers) => {
+    const response = await harness.request("/v1/responses", { body, headers });
+    return { response, body: await response.json() };
+  };
+
+  it("answers 429 with Retry-After once a key runs out of requests", async () => {
+    harness = await startProxy({ env: { RATE_LIMIT_RPM: "2" } });
+    const first = await send();
+    assert.equal(first.response.status, 200);
+    assert.equal(first.response.headers.get("x-ratelimit-limit-requests"), "2");
+    assert.equal(first.response.headers.get("x-ratelimit-remaining-requests"), "1");
+    assert.equal((await send()).response.status, 200);
+
+    const limited = await send();
+    assert.equal(limited.response.status, 429);
+    assert.ok(Number(limited.response.headers.get("retry-after")) >= 1);
+    assert.equal(limited.response.headers.get("x-ratelimit-remaining-requests"), "0");
+    assert.equal(limited.body.error.code, "rate_limit_exceeded");
+    assert.equal(limited.body.error.type, "requests");
+    assert.equal(harness.mock.requests.length, 2);
+  });
+
+  it("charges the tokens the upstream reports", async () => {
+    harness = await startProxy({ env: { RATE_LIMIT_TPM: "1" } });
+    assert.equal((await send()).response.status, 200);
+
+    const limited = await send();
+    assert.equal(limited.response.status, 429);
+    assert.equal(limited.body.error.type, "tokens");
+    assert.ok(Number(limited.response.headers.get("retry-after")) >= 1);
+  });
+
+  it("keeps separate buckets per key, with per-key limits", async () => {
+    harness = await startProxy();
+    const created = await harness.request("/admin/keys", {
+      body: { name: "ci-bot", requestsPerMinute: 1 },
+      headers: { authorization: `Bearer ${ADMIN_SECRET}` },
+    });
+    const { key } = await created.json();
+    const asKey = { authorization: `Bearer ${key}` };
+
+    assert.equal((await send(asKey)).response.status, 200);
+    assert.equal((await send(asKey)).response.status, 429);
+    assert.equal((await send()).response.status, 200);
+  });
+});
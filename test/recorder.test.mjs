@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { sanitizeHeaders } from "../src/recorder.mjs";
+
+describe("recorder", () => {
+  it("redacts every header a credential can arrive in", () => {
+    const headers = new Headers({
+      authorization: "Bearer sk-proxy-secret",
+      "x-api-key": "sk-proxy-secret",
+      "api-key": "sk-proxy-secret",
+      cookie: "session=1",
+      "chatgpt-account-id": "acct-1",
+      "content-type": "application/json",
+    });
+    assert.deepEqual(sanitizeHeaders(headers), {
+      authorization: "[redacted]",
+      "x-api-key": "[redacted]",
+      "api-key": "[redacted]",
+      cookie: "[redacted]",
+      "chatgpt-account-id": "[redacted]",
+      "content-type": "application/json",
+    });
+  });
+
+  it("accepts Node's incoming header objects", () => {
+    assert.deepEqual(sanitizeHeaders({ "Api-Key": "sk-proxy-secret", accept: "*/*" }), { "api-key": "[redacted]", accept: "*/*" });
+  });
+});
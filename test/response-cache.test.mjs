@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { ADMIN_SECRET, sseData, startProxy } from "./helpers.mjs";
+
+const body = { model: "gpt-5.3-codex", input: "review this diff", stream: false };
+
+describe("response cache", () => {
+  let harness;
+  afterEach(() => harness?.close());
+
+  const start = (env = {}) => startProxy({ env: { RESPONSE_CACHE_TTL_SECONDS: "60", RESPONSE_CACHE_DEFAULT: "true", ...env } });
+  const send = (headers, request = body) => harness.request("/v1/responses", { body: request, headers });
+  const createKey = async (name, cache) => {
+    const created = await harness.request("/admin/keys", { body: { name, cache }, headers: { authorization: `Bearer ${ADMIN_SECRET}` } });
+    return { authorization: `Bearer ${(await created.json()).key}` };
+  };
+
+  it("answers a repeated request from the cache", async () => {
+    harness = await start();
+    const miss = await send();
+    assert.equal(miss.headers.get("x-proxy-cache"), "miss");
+    const missed = await miss.json();
+
+    const hit = await send();
+    assert.equal(hit.status, 200);
+    assert.equal(hit.headers.get("x-proxy-cache"), "hit");
+    assert.equal((await hit.json()).output_text, missed.output_text);
+
+    const streamed = await send({}, { ...body, stream: true });
+    assert.equal(streamed.headers.get("x-proxy-cache"), "hit");
+    assert.equal((await sseData(streamed)).at(-1).type, "response.completed");
+    assert.equal(harness.mock.requests.length, 1);
+  });
+
+  it("misses on a different request", async () => {
+    harness = await start();
+    await (await send()).arrayBuffer();
+    const other = await send({}, { ...body, input: "review another diff" });
+    assert.equal(other.headers.get("x-proxy-cache"), "miss");
+    assert.equal(harness.mock.requests.length, 2);
+  });
+
+  it("skips the lookup on no-cache and the cache entirely on no-store", async () => {
+    harness = await start();
+    await (await send()).arrayBuffer();
+
+    const refreshed = await send({ "cache-control": "no-cache" });
+    assert.equal(refreshed.headers.get("x-proxy-cache"), "miss");
+    await refreshed.arrayBuffer();
+
+    const bypassed = await send({ "cache-control": "no-store" });
+    assert.equal(bypassed.headers.get("x-proxy-cache"), null);
+    await bypassed.arrayBuffer();
+    assert.equal(harness.mock.requests.length, 3);
+  });
+
+  it("never serves one key's cached response to another key", async () => {
+    harness = await start();
+    const alice = await createKey("alice", true);
+    const bob = await createKey("bob", true);
+
+    await (await send(alice)).arrayBuffer();
+    assert.equal((await send(alice)).headers.get("x-proxy-cache"), "hit");
+    assert.equal((await send(bob)).headers.get("x-proxy-cache"), "miss");
+    assert.equal((await send()).headers.get("x-proxy-cache"), "miss");
+    assert.equal(harness.mock.requests.length, 3);
+  });
+
+  it("leaves keys that did not opt in uncached", async () => {
+    harness = await start({ RESPONSE_CACHE_DEFAULT: "false" });
+    const optedOut = await createKey("ci-bot", undefined);
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const response = await send(optedOut);
+      assert.equal(response.headers.get("x-proxy-cache"), null);
+      await response.arrayBuffer();
+    }
+    assert.equal(harness.mock.requests.length, 2);
+  });
+});
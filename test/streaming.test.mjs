@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { sseData, startProxy } from "./helpers.mjs";
+
+const TEXT = "Hello from the mock upstream.";
+const messages = [{ role: "user", content: "hi" }];
+
+describe("stream and non-stream assembly", () => {
+  let harness;
+  before(async () => {
+    harness = await startProxy();
+  });
+  after(() => harness.close());
+
+  describe("/v1/responses", () => {
+    it("passes the upstream events through to streaming clients", async () => {
+      const response = await harness.request("/v1/responses", { body: { model: "gpt-5.3-codex", input: "hi", stream: true } });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+      const events = await sseData(response);
+      const types = events.map((event) => event.type);
+      assert.equal(types[0], "response.created");
+      assert.equal(types.at(-1), "response.completed");
+      const deltas = events.filter((event) => event.type === "response.output_text.delta").map((event) => event.delta);
+      assert.ok(deltas.length > 1);
+      assert.equal(deltas.join(""), TEXT);
+    });
+
+    it("assembles the final response object for non-streaming clients", async () => {
+      const response = await harness.request("/v1/responses", { body: { model: "gpt-5.3-codex", input: "hi", stream: false } });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get("content-type"), /^application\/json/);
+
+      const body = await response.json();
+      assert.equal(body.object, "response");
+      assert.equal(body.status, "completed");
+      assert.equal(body.output_text, TEXT);
+      assert.equal(body.output[0].content[0].text, TEXT);
+      assert.ok(body.usage.total_tokens > 0);
+    });
+
+    it("serves stored responses by id and answers 404 for unknown or malformed ids", async () => {
+      const created = await (await harness.request("/v1/responses", { body: { model: "gpt-5.3-codex", input: "hi" } })).json();
+      const stored = await harness.request(`/v1/responses/${created.id}`);
+      assert.equal(stored.status, 200);
+      assert.equal((await stored.json()).id, created.id);
+
+      for (const id of ["resp_missing", "%E0"]) {
+        const missing = await harness.request(`/v1/responses/${id}`);
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).error.code, "response_not_found");
+      }
+    });
+  });
+
+  describe("/v1/chat/completions", () => {
+    it("streams chunks ending with a finish reason and [DONE]", async () => {
+      const response = await harness.request("/v1/chat/completions", { body: { model: "gpt-5.3-codex", messages, stream: true } });
+      const events = await sseData(response);
+      assert.equal(events.at(-1), "[DONE]");
+
+      const chunks = events.slice(0, -1);
+      assert.ok(chunks.every((chunk) => chunk.object === "chat.completion.chunk"));
+      assert.equal(chunks[0].choices[0].delta.role, "assistant");
+      assert.equal(chunks.map((chunk) => chunk.choices[0].delta.content ?? "").join(""), TEXT);
+      assert.equal(chunks.at(-1).choices[0].finish_reason, "stop");
+    });
+
+    it("assembles a chat.completion for non-streaming clients", async () => {
+      const response = await harness.request("/v1/chat/completions", { body: { model: "gpt-5.3-codex", messages } });
+      const body = await response.json();
+      assert.equal(body.object, "chat.completion");
+      assert.deepEqual(body.choices[0].message, { role: "assistant", content: TEXT });
+      assert.equal(body.choices[0].finish_reason, "stop");
+      assert.equal(body.usage.total_tokens, body.usage.prompt_tokens + body.usage.completion_tokens);
+    });
+
+    it("returns function calls as tool_calls", async () => {
+      harness.mock.enqueue({ toolCall: { name: "get_weather", arguments: { city: "Paris" } } });
+      const response = await harness.request("/v1/chat/completions", {
+        body: {
+          model: "gpt-5.3-codex",
+          messages,
+          tools: [{ type: "function", function: { name: "get_weather", parameters: { type: "object", properties: { city: { type: "string" } } } } }],
+        },
+      });
+      const [choice] = (await response.json()).choices;
+      assert.equal(choice.finish_reason, "tool_calls");
+      assert.equal(choice.message.tool_calls[0].function.name, "get_weather");
+      assert.deepEqual(JSON.parse(choice.message.tool_calls[0].function.arguments), { city: "Paris" });
+    });
+  });
+
+  describe("/v1/messages", () => {
+    it("streams Anthropic events from message_start to message_stop", async () => {
+      const response = await harness.request("/v1/messages", {
+        body: { model: "gpt-5.3-codex", max_tokens: 100, messages, stream: true },
+      });
+      const events = await sseData(response);
+      const types = events.map((event) => event.type);
+      assert.equal(types[0], "message_start");
+      assert.equal(types.at(-1), "message_stop");
+
+      const text = events.filter((event) => event.type === "content_block_delta").map((event) => event.delta.text);
+      assert.equal(text.join(""), TEXT);
+      assert.equal(events.find((event) => event.type === "message_delta").delta.stop_reason, "end_turn");
+    });
+
+    it("assembles an Anthropic message for non-streaming clients", async () => {
+      const response = await harness.request("/v1/messages", { body: { model: "gpt-5.3-codex", max_tokens: 100, messages } });
+      const body = await response.json();
+      assert.equal(body.type, "message");
+      assert.deepEqual(body.content, [{ type: "text", text: TEXT }]);
+      assert.equal(body.stop_reason, "end_turn");
+    });
+  });
+
+  describe("upstream failures", () => {
+    it("retries a transcript that ended without a terminal event", async () => {
+      harness.mock.enqueue({ truncate: true, text: "cut" });
+      const sent = harness.mock.requests.length;
+      const response = await harness.request("/v1/chat/completions", { body: { model: "gpt-5.3-codex", messages } });
+      assert.equal((await response.json()).choices[0].message.content, TEXT);
+      assert.equal(harness.mock.requests.length - sent, 2);
+    });
+
+    it("retries upstream 5xx responses", async () => {
+      harness.mock.enqueue({ status: 502, body: { error: { message: "bad gateway" } } });
+      const response = await harness.request("/v1/responses", { body: { model: "gpt-5.3-codex", input: "hi", stream: false } });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).output_text, TEXT);
+    });
+
+    it("reports a failed response in the route's error shape", async () => {
+      harness.mock.enqueue({
+        events: [
+          { type: "response.created", response: { id: "resp_failed", status: "in_progress", output: [] } },
+          {
+            type: "response.failed",
+            response: { id: "resp_failed", status: "failed", error: { code: "context_length_exceeded", message: "too long" } },
+          },
+        ],
+      });
+      const response = await harness.request("/v1/chat/completions", { body: { model: "gpt-5.3-codex", messages } });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error.message, "too long");
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { hashKey } from "../src/key-registry.mjs";
+import { createMemoryTokenStore } from "../src/token-store.mjs";
+import { startProxy } from "./helpers.mjs";
+
+const body = { model: "gpt-5.3-codex", input: "hi", stream: false };
+const usageLimit = (resetsInSeconds) => ({
+  status: 429,
+  body: { error: { type: "usage_limit_reached", message: "usage limit reached", resets_in_seconds: resetsInSeconds } },
+});
+
+describe("token refresh", () => {
+  let harness;
+  afterEach(() => harness?.close());
+
+  it("uses a valid access token without refreshing", async () => {
+    harness = await startProxy();
+    const response = await harness.request("/v1/responses", { body });
+    assert.equal(response.status, 200);
+    assert.equal(harness.mock.tokenRequests.length, 0);
+  });
+
+  it("refreshes an expired access token before the first request", async () => {
+    harness = await startProxy({ tokens: (mock) => mock.issueTokens({ expiresIn: -60 }) });
+    const { mock } = harness;
+
+    const response = await harness.request("/v1/responses", { body });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      mock.tokenRequests.map((request) => request.refreshToken),
+      ["mock-refresh-1"],
+    );
+    assert.equal(mock.requests.length, 1);
+  });
+
+  it("refreshes and retries once when the upstream answers 401", async () => {
+    harness = await startProxy();
+    const { mock, tokenStore } = harness;
+    await harness.request("/v1/responses", { body });
+    const firstToken = mock.requests[0].token;
+    mock.revokeAccessTokens();
+
+    const response = await harness.request("/v1/responses", { body });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "completed");
+
+    const [, rejected, retried] = mock.requests;
+    assert.equal(rejected.token, firstToken);
+    assert.notEqual(retried.token, firstToken);
+    assert.equal(mock.tokenRequests.length, 1);
+
+    // The rotated refresh token is persisted, and the next refresh uses it.
+    const [stored] = await tokenStore.load();
+    assert.equal(stored.refreshToken, "mock-refresh-2");
+    assert.equal(stored.accessToken, retried.token);
+
+    mock.revokeAccessTokens();
+    assert.equal((await harness.request("/v1/responses", { body })).status, 200);
+    assert.deepEqual(
+      mock.tokenRequests.map((request) => request.refreshToken),
+      ["mock-refresh-1", "mock-refresh-2"],
+    );
+  });
+
+  it("shares one refresh between concurrent requests", async () => {
+    harness = await startProxy({ tokens: (mock) => mock.issueTokens({ expiresIn: -60 }) });
+    const responses = await Promise.all([1, 2, 3].map(() => harness.request("/v1/responses", { body })));
+    assert.deepEqual(
+      responses.map((response) => response.status),
+      [200, 200, 200],
+    );
+    assert.equal(harness.mock.tokenRequests.length, 1);
+  });
+
+  it("reports needs_login when the refresh token is rejected", async () => {
+    harness = await startProxy({ tokens: (mock) => mock.issueTokens({ expiresIn: -60 }) });
+    harness.mock.enqueueToken({ status: 400, body: { error: "invalid_grant" } });
+
+    const response = await harness.request("/v1/responses", { body });
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error, "token_error");
+    assert.equal(harness.mock.requests.length, 0);
+
+    const health = await harness.request("/health", { auth: false });
+    assert.equal(health.status, 503);
+    const state = await health.json();
+    assert.equal(state.status, "unavailable");
+    assert.equal(state.refreshState, "needs_login");
+
+    // A rejected refresh token is not retried on every request.
+    await harness.request("/v1/responses", { body });
+    assert.equal(harness.mock.tokenRequests.length, 1);
+  });
+
+  it("keeps stored tokens until OPENAI_REFRESH_TOKEN changes in the env", async () => {
+    // Stored tokens that started from mock-refresh-1, the env token the mock issues first.
+    const tokenStore = createMemoryTokenStore();
+    const stored = { name: "default", accessToken: "", refreshToken: "rotated-refresh", expiresAt: 0 };
+    await tokenStore.save([{ ...stored, envRefreshTokenHash: hashKey("mock-refresh-1") }]);
+
+    harness = await startProxy({ tokenStore });
+    assert.equal((await tokenStore.load())[0].refreshToken, "rotated-refresh");
+    await harness.close();
+
+    // A re-login puts a new refresh token in the env.
+    harness = await startProxy({ tokenStore, tokens: (mock) => (mock.issueTokens(), mock.issueTokens()) });
+    const [replaced] = await tokenStore.load();
+    assert.equal(replaced.refreshToken, "mock-refresh-2");
+    assert.equal(replaced.envRefreshTokenHash, hashKey("mock-refresh-2"));
+  });
+});
+
+describe("usage limits", () => {
+  let harness;
+  afterEach(() => harness?.close());
+
+  it("fails over to the next account on a 429", async () => {
+    harness = await startProxy({
+      accounts: [
+        { name: "alice", accountId: "acct-alice" },
+        { name: "bob", accountId: "acct-bob" },
+      ],
+    });
+    harness.mock.enqueue(usageLimit(3600));
+
+    const response = await harness.request("/v1/responses", { body });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      harness.mock.requests.map((request) => request.accountId),
+      ["acct-alice", "acct-bob"],
+    );
+
+    const health = await (await harness.request("/health", { auth: false })).json();
+    const [alice, bob] = health.accounts;
+    assert.ok(Date.parse(alice.limitedUntil) > Date.now() + 3500_000);
+    assert.equal(bob.limitedUntil, null);
+
+    // While alice rests, traffic stays on bob.
+    await harness.request("/v1/responses", { body });
+    assert.equal(harness.mock.requests.at(-1).accountId, "acct-bob");
+  });
+
+  it("waits out a short limit on a single account", async () => {
+    harness = await startProxy();
+    harness.mock.enqueue(usageLimit(0.02));
+    const response = await harness.request("/v1/responses", { body });
+    assert.equal(response.status, 200);
+    assert.equal(harness.mock.requests.length, 2);
+  });
+
+  it("returns the 429 when the limit outlasts the retry budget", async () => {
+    harness = await startProxy();
+    harness.mock.enqueue(usageLimit(3600));
+    const response = await harness.request("/v1/responses", { body });
+    assert.equal(response.status, 429);
+    assert.equal((await response.json()).error.message, "usage limit reached");
+    assert.equal(harness.mock.requests.length, 1);
+  });
+});